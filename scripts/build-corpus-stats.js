@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild the corpus word statistics used by the distinctive blank strategy
+ *
+ * This is the only thing that writes src/data/corpus-stats.json. Run it after
+ * adding or changing lyrics files; until then the quiz generators compute
+ * fresh statistics in memory each run.
+ *
+ * Usage:
+ * node scripts/build-corpus-stats.js
+ */
+
+import { saveCorpusStats } from '../src/utils/corpus-stats.js';
+
+try {
+  console.log('\nBuilding corpus statistics...\n');
+
+  const stats = saveCorpusStats();
+
+  console.log(`✓ Corpus statistics generated successfully!`);
+  console.log(`  Songs: ${stats.documentCount}`);
+  console.log(`  Distinct words: ${Object.keys(stats.documentFrequency).length}\n`);
+} catch (error) {
+  console.error(`\n✗ Error: ${error.message}`);
+  process.exit(1);
+}
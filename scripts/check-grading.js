@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Check answer grading against the cases in fixtures/grading/cases.json
+ *
+ * Each case gives what was typed, the blank's answer and the class
+ * (exact, variant, typo or wrong) classifyAnswer should put it in.
+ *
+ * Usage:
+ * node scripts/check-grading.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { classifyAnswer } from '../src/utils/grading.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CASES_FILE = path.resolve(__dirname, '../fixtures/grading/cases.json');
+
+/**
+ * Main function
+ */
+function main() {
+  const cases = JSON.parse(fs.readFileSync(CASES_FILE, 'utf8'));
+  let failures = 0;
+
+  console.log(`\nChecking ${cases.length} grading case(s)\n`);
+
+  cases.forEach(({ typed, answer, match }) => {
+    const actual = classifyAnswer(typed, answer);
+    const label = `${JSON.stringify(typed)} for ${JSON.stringify(answer)}`;
+
+    if (actual === match) {
+      console.log(`✓ ${label}: ${actual}`);
+    } else {
+      failures++;
+      console.log(`✗ ${label}: expected ${match}, got ${actual}`);
+    }
+  });
+
+  if (failures > 0) {
+    console.error(`\n✗ ${failures} of ${cases.length} case(s) failed\n`);
+    process.exit(1);
+  }
+
+  console.log(`\n✓ All ${cases.length} case(s) passed\n`);
+}
+
+main();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * End-to-end check of the fetch -> extract -> clean -> quiz pipeline
+ *
+ * Starts the mock Genius server, runs every case in fixtures/genius/cases.json
+ * through fetchLyrics and buildQuiz exactly as the CLI scripts do, and
+ * compares the lyrics, annotations and quiz with the snapshots in fixtures/genius/expected.
+ * Needs no token or network.
+ *
+ * Usage:
+ * node scripts/check-pipeline.js [--update]
+ *
+ * Options:
+ * --update (rewrite the expected snapshots from the current output)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockGeniusServer } from './mock-genius-server.js';
+import { fetchLyrics } from '../src/utils/lyrics-fetcher.js';
+import { buildQuiz } from '../src/utils/quiz-generator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.resolve(__dirname, '../fixtures/genius');
+const CASES_FILE = path.join(FIXTURES_DIR, 'cases.json');
+const EXPECTED_DIR = path.join(FIXTURES_DIR, 'expected');
+
+const update = process.argv.includes('--update');
+
+/**
+ * Run one case through the pipeline
+ * @param {Object} testCase - { name, artist, title, options }
+ * @param {string} baseUrl - Mock server URL
+ * @returns {Promise<Object>} { lyrics, annotations, quiz } as they would be saved
+ */
+async function runCase(testCase, baseUrl) {
+  const result = await fetchLyrics(testCase.artist, testCase.title, 'mock-token', {
+    returnSongInfo: true
+  });
+
+  // Same shape as fetch-lyrics-cli.js writes, minus the fetch time
+  const songData = {
+    id: result.songInfo.id,
+    title: result.songInfo.title,
+    artist: result.songInfo.artist,
+    lyrics: result.lyrics,
+    url: result.songInfo.url.replace(baseUrl, 'https://genius.com'),
+    imageUrl: result.songInfo.imageUrl,
+    thumbnailUrl: result.songInfo.thumbnailUrl,
+    releaseDate: result.songInfo.releaseDate,
+    album: result.songInfo.album
+  };
+
+  const { quiz } = buildQuiz(songData, {
+    ...testCase.options,
+    originalFile: `fixtures/genius/${testCase.name}`
+  });
+
+  // Round-trip through JSON so undefined fields drop out as they do on disk
+  return JSON.parse(JSON.stringify({ lyrics: songData.lyrics, annotations: result.annotations, quiz }));
+}
+
+/**
+ * Describe the first difference between two texts
+ * @returns {string|null} Description, or null if they match
+ */
+function firstDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const lineCount = Math.max(expectedLines.length, actualLines.length);
+
+  for (let i = 0; i < lineCount; i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      return `line ${i + 1}:\n      expected: ${JSON.stringify(expectedLines[i])}\n      actual:   ${JSON.stringify(actualLines[i])}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  // Talk to the mock server, and never answer from (or write to) the HTTP cache
+  process.env.LYRICSIQ_CACHE = 'off';
+  process.env.LYRICSIQ_HTTP_RETRIES = '0';
+  process.env.LYRICSIQ_HTTP_INTERVAL = '0';
+
+  const server = createMockGeniusServer({ fixturesDir: FIXTURES_DIR });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.GENIUS_API_URL = baseUrl;
+
+  const cases = JSON.parse(fs.readFileSync(CASES_FILE, 'utf8'));
+  let failures = 0;
+
+  console.log(`\nChecking ${cases.length} pipeline case(s) against ${baseUrl}\n`);
+
+  try {
+    for (const testCase of cases) {
+      const expectedFile = path.join(EXPECTED_DIR, `${testCase.name}.json`);
+
+      try {
+        const actual = await runCase(testCase, baseUrl);
+
+        if (update) {
+          fs.mkdirSync(EXPECTED_DIR, { recursive: true });
+          fs.writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n', 'utf8');
+          console.log(`✓ ${testCase.name}: snapshot updated`);
+          continue;
+        }
+
+        if (!fs.existsSync(expectedFile)) {
+          throw new Error(`No snapshot at ${path.relative(process.cwd(), expectedFile)} (run with --update)`);
+        }
+
+        const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+        const lyricsDiff = firstDifference(expected.lyrics, actual.lyrics);
+        const annotationsDiff = firstDifference(
+          JSON.stringify(expected.annotations || [], null, 2),
+          JSON.stringify(actual.annotations, null, 2)
+        );
+        const quizDiff = firstDifference(
+          JSON.stringify(expected.quiz, null, 2),
+          JSON.stringify(actual.quiz, null, 2)
+        );
+
+        if (lyricsDiff || annotationsDiff || quizDiff) {
+          failures++;
+          console.log(`✗ ${testCase.name}`);
+          if (lyricsDiff) console.log(`    Lyrics differ at ${lyricsDiff}`);
+          if (annotationsDiff) console.log(`    Annotations differ at ${annotationsDiff}`);
+          if (quizDiff) console.log(`    Quiz differs at ${quizDiff}`);
+        } else {
+          console.log(`✓ ${testCase.name}`);
+        }
+      } catch (error) {
+        failures++;
+        console.log(`✗ ${testCase.name}: ${error.message}`);
+      }
+    }
+  } finally {
+    server.close();
+  }
+
+  if (failures > 0) {
+    console.error(`\n✗ ${failures} of ${cases.length} case(s) failed\n`);
+    process.exit(1);
+  }
+
+  console.log(`\n✓ All ${cases.length} case(s) passed\n`);
+}
+
+main();
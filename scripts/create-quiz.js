@@ -5,20 +5,45 @@
  *
  * Usage:
  * node scripts/create-quiz.js "Artist Name" "Song Title" [options]
+ * node scripts/create-quiz.js --manifest songs.json|songs.csv [options]
+ *
+ * Batch mode reads a manifest of songs (see parseManifest below), creates a quiz
+ * for each one without prompting, regenerates the index once at the end and
+ * prints a summary of successes, ambiguous matches and failures. Options given
+ * on the command line are the defaults for manifest rows that don't set them.
  *
  * Options:
  * --difficulty easy|medium|hard (default: medium)
- * --strategy random|important|frequent (default: random)
+ * --strategy random|important|frequent|rhyme|distinctive (default: random)
  * --blank-count <number> (override difficulty)
+ * --phrases <number> (multi-word phrase blanks, default: 0)
+ * --phrase-length <number> (words per phrase blank, default: 3)
+ * --lines <number> (whole-line blanks, default: 0)
+ * --sections <types> (only quiz these sections, e.g. chorus,bridge)
+ * --exclude-repeats (don't quiz sections that repeat an earlier one)
+ * --repeats off|same|first (repeated lines: blank independently, share one blank,
+ *   or quiz only the first copy; default: off)
+ * --no-choices (don't generate multiple-choice options)
+ * --rhyming-distractors (prefer multiple-choice options that rhyme with the answer)
+ * --seed <value> (reuse a seed to rebuild the same quiz)
+ * --album <name> (prefer the version of the song on this album)
+ * --min-confidence <0-1> (don't pick a search result automatically below this
+ *   match confidence; default: 0.7)
+ * --manifest <file> (create quizzes for every song in a JSON or CSV manifest)
  *
  * Requires GENIUS_ACCESS_TOKEN environment variable
  *
  * Examples:
  * node scripts/create-quiz.js "Aretha Franklin" "Amazing Grace"
  * node scripts/create-quiz.js "Artist" "Song" --difficulty hard --strategy important
+ * node scripts/create-quiz.js --manifest album.csv --difficulty hard
  */
 
 import { fetchLyrics } from '../src/utils/lyrics-fetcher.js';
+import { buildQuiz, createSeed, parseSeed } from '../src/utils/quiz-generator.js';
+import { loadCorpusStats } from '../src/utils/corpus-stats.js';
+import { slugify } from '../src/utils/slug.js';
+import { DEFAULT_MIN_CONFIDENCE, parseConfidence, formatConfidence } from '../src/utils/search-ranking.js';
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
@@ -26,28 +51,60 @@ import readline from 'readline';
 // Parse command line arguments
 const args = process.argv.slice(2);
 
-if (args.length < 2) {
+const manifestIndex = args.indexOf('--manifest');
+const manifestFile = manifestIndex !== -1 ? args[manifestIndex + 1] : null;
+
+if (manifestIndex !== -1 ? !manifestFile : args.length < 2) {
   console.error('Usage: node scripts/create-quiz.js "Artist Name" "Song Title" [options]');
+  console.error('       node scripts/create-quiz.js --manifest songs.json|songs.csv [options]');
   console.error('\nOptions:');
   console.error('  --difficulty easy|medium|hard (default: medium)');
-  console.error('  --strategy random|important|frequent (default: random)');
+  console.error('  --strategy random|important|frequent|rhyme|distinctive (default: random)');
   console.error('  --blank-count <number> (override difficulty)');
+  console.error('  --phrases <number> (multi-word phrase blanks, default: 0)');
+  console.error('  --phrase-length <number> (words per phrase blank, default: 3)');
+  console.error('  --lines <number> (whole-line blanks, default: 0)');
+  console.error('  --sections <types> (only quiz these sections, e.g. chorus,bridge)');
+  console.error('  --exclude-repeats (don\'t quiz sections that repeat an earlier one)');
+  console.error('  --repeats off|same|first (repeated lines: blank independently, share one blank,');
+  console.error('    or quiz only the first copy; default: off)');
+  console.error('  --no-choices (don\'t generate multiple-choice options)');
+  console.error('  --rhyming-distractors (prefer multiple-choice options that rhyme with the answer)');
+  console.error('  --seed <value> (reuse a seed to rebuild the same quiz)');
+  console.error('  --album <name> (prefer the version of the song on this album)');
+  console.error('  --min-confidence <0-1> (don\'t pick a search result automatically below this');
+  console.error('    match confidence; default: 0.7)');
+  console.error('  --manifest <file> (create quizzes for every song in a JSON or CSV manifest)');
   console.error('\nExamples:');
   console.error('  node scripts/create-quiz.js "Aretha Franklin" "Amazing Grace"');
   console.error('  node scripts/create-quiz.js "Artist" "Song" --difficulty hard');
+  console.error('  node scripts/create-quiz.js --manifest album.csv --difficulty hard');
+  console.error('\nManifest rows need artist and title, and may set album, difficulty, strategy,');
+  console.error('blankCount and seed. CSV manifests need a header row.');
   console.error('\nRequires GENIUS_ACCESS_TOKEN environment variable');
   process.exit(1);
 }
 
-const artist = args[0];
-const songTitle = args[1];
+const artist = manifestFile ? null : args[0];
+const songTitle = manifestFile ? null : args[1];
 
 // Parse options
 let difficulty = 'medium';
 let blankCount = null;
 let strategy = 'random';
-
-for (let i = 2; i < args.length; i++) {
+let phraseCount = 0;
+let phraseLength = 3;
+let lineCount = 0;
+let sections = [];
+let excludeRepeats = false;
+let repeats = 'off';
+let choices = true;
+let rhymingDistractors = false;
+let seed = null;
+let albumName = '';
+let minConfidence = DEFAULT_MIN_CONFIDENCE;
+
+for (let i = manifestFile ? 0 : 2; i < args.length; i++) {
   if (args[i] === '--difficulty' && args[i + 1]) {
     difficulty = args[i + 1];
   }
@@ -57,6 +114,44 @@ for (let i = 2; i < args.length; i++) {
   if (args[i] === '--strategy' && args[i + 1]) {
     strategy = args[i + 1];
   }
+  if (args[i] === '--phrases' && args[i + 1]) {
+    phraseCount = parseInt(args[i + 1]);
+  }
+  if (args[i] === '--phrase-length' && args[i + 1]) {
+    phraseLength = parseInt(args[i + 1]);
+  }
+  if (args[i] === '--lines' && args[i + 1]) {
+    lineCount = parseInt(args[i + 1]);
+  }
+  if (args[i] === '--sections' && args[i + 1]) {
+    sections = args[i + 1].split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  }
+  if (args[i] === '--exclude-repeats') {
+    excludeRepeats = true;
+  }
+  if (args[i] === '--repeats' && args[i + 1]) {
+    repeats = args[i + 1];
+  }
+  if (args[i] === '--no-choices') {
+    choices = false;
+  }
+  if (args[i] === '--rhyming-distractors') {
+    rhymingDistractors = true;
+  }
+  if (args[i] === '--seed' && args[i + 1]) {
+    seed = parseSeed(args[i + 1]);
+  }
+  if (args[i] === '--album' && args[i + 1]) {
+    albumName = args[i + 1];
+  }
+  if (args[i] === '--min-confidence') {
+    minConfidence = parseConfidence(args[i + 1]);
+    if (minConfidence === null) {
+      console.error(`Error: --min-confidence must be a number from 0 to 1, got ${JSON.stringify(args[i + 1] ?? '')}`);
+      console.error('Example: --min-confidence 0.8');
+      process.exit(1);
+    }
+  }
 }
 
 // Get access token
@@ -69,115 +164,6 @@ if (!accessToken) {
   process.exit(1);
 }
 
-/**
- * Extract words from lyrics that can be blanked
- */
-function extractWords(lyrics) {
-  const words = [];
-  const lines = lyrics.split('\n');
-
-  lines.forEach((line, lineIndex) => {
-    if (!line.trim() || line.match(/^\[.*\]$/)) {
-      return;
-    }
-
-    const wordMatches = [...line.matchAll(/\b[\w'-]+\b/g)];
-
-    wordMatches.forEach((match) => {
-      const word = match[0];
-      const position = match.index;
-
-      if (word.length <= 2) {
-        return;
-      }
-
-      const commonWords = ['the', 'and', 'but', 'for', 'with', 'from', 'that', 'this', 'have', 'has', 'was', 'were'];
-      if (commonWords.includes(word.toLowerCase())) {
-        return;
-      }
-
-      words.push({
-        word,
-        lineIndex,
-        position,
-        length: word.length
-      });
-    });
-  });
-
-  return words;
-}
-
-/**
- * Select words to blank based on strategy
- */
-function selectBlanks(words, count, strategy) {
-  if (words.length === 0) return [];
-
-  let selectedWords;
-
-  switch (strategy) {
-    case 'important':
-      selectedWords = [...words].sort((a, b) => b.length - a.length).slice(0, count);
-      break;
-
-    case 'frequent':
-      const frequency = {};
-      words.forEach(w => {
-        const lower = w.word.toLowerCase();
-        frequency[lower] = (frequency[lower] || 0) + 1;
-      });
-      selectedWords = [...words]
-        .sort((a, b) => frequency[b.word.toLowerCase()] - frequency[a.word.toLowerCase()])
-        .slice(0, count);
-      break;
-
-    case 'random':
-    default:
-      selectedWords = [...words].sort(() => Math.random() - 0.5).slice(0, count);
-      break;
-  }
-
-  return selectedWords.sort((a, b) => {
-    if (a.lineIndex !== b.lineIndex) return a.lineIndex - b.lineIndex;
-    return a.position - b.position;
-  });
-}
-
-/**
- * Generate quiz lyrics with blanks
- */
-function generateQuizLyrics(lyrics, blanks) {
-  const lines = lyrics.split('\n');
-  const blanksMap = {};
-
-  blanks.forEach((blank, index) => {
-    if (!blanksMap[blank.lineIndex]) {
-      blanksMap[blank.lineIndex] = [];
-    }
-    blanksMap[blank.lineIndex].push({ ...blank, blankId: index });
-  });
-
-  const quizLines = lines.map((line, lineIndex) => {
-    if (!blanksMap[lineIndex]) {
-      return line;
-    }
-
-    const lineBlanks = blanksMap[lineIndex].sort((a, b) => b.position - a.position);
-
-    let modifiedLine = line;
-    lineBlanks.forEach((blank) => {
-      const before = modifiedLine.substring(0, blank.position);
-      const after = modifiedLine.substring(blank.position + blank.word.length);
-      modifiedLine = before + `_____${blank.blankId}_____` + after;
-    });
-
-    return modifiedLine;
-  });
-
-  return quizLines.join('\n');
-}
-
 /**
  * Prompt user for confirmation
  */
@@ -203,7 +189,7 @@ async function searchAndConfirm(artist, songTitle, accessToken) {
   const { searchSong } = await import('../src/utils/genius.js');
 
   console.log(`Searching for "${songTitle}" by ${artist}...`);
-  const results = await searchSong(artist, songTitle, accessToken);
+  const results = await searchSong(artist, songTitle, accessToken, albumName);
 
   if (!results || results.length === 0) {
     throw new Error(`No results found for "${songTitle}" by ${artist}"`);
@@ -215,6 +201,7 @@ async function searchAndConfirm(artist, songTitle, accessToken) {
   const topResults = results.slice(0, 5);
   topResults.forEach((song, index) => {
     console.log(`${index + 1}. "${song.title}" by ${song.primary_artist.name}`);
+    console.log(`   Match: ${describeMatch(song)}`);
     console.log(`   Album art: ${song.song_art_image_thumbnail_url}`);
     console.log(`   URL: ${song.url}`);
     if (song.release_date_for_display) {
@@ -223,8 +210,16 @@ async function searchAndConfirm(artist, songTitle, accessToken) {
     console.log('');
   });
 
-  const answer = await promptUser(`Select a song (1-${topResults.length}) or press Enter for #1: `);
-  const selection = answer.trim() === '' ? 1 : parseInt(answer);
+  // Only offer a default when the best result is a confident match
+  const canAutoPick = topResults[0].match.confidence >= minConfidence;
+  if (!canAutoPick) {
+    console.log(`No result reaches ${formatConfidence(minConfidence)} confidence, so please choose one.`);
+  }
+
+  const answer = await promptUser(canAutoPick
+    ? `Select a song (1-${topResults.length}) or press Enter for #1: `
+    : `Select a song (1-${topResults.length}): `);
+  const selection = answer.trim() === '' && canAutoPick ? 1 : parseInt(answer);
 
   if (isNaN(selection) || selection < 1 || selection > topResults.length) {
     throw new Error('Invalid selection');
@@ -234,122 +229,361 @@ async function searchAndConfirm(artist, songTitle, accessToken) {
 }
 
 /**
- * Main function
+ * Parse CSV text into objects keyed by the header row
+ * Handles quoted fields with commas, escaped quotes ("") and line breaks.
  */
-async function main() {
-  try {
-    console.log('\n=== LyricsIQ Quiz Creator ===\n');
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
 
-    // Step 1: Search and confirm song selection
-    const selectedSong = await searchAndConfirm(artist, songTitle, accessToken);
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
 
-    console.log(`\n✓ Selected: "${selectedSong.title}" by ${selectedSong.primary_artist.name}\n`);
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = header.map(key => key.trim());
 
-    // Import fetchPageHTML and other functions
-    const { fetchPageHTML, extractLyricsFromHTML, cleanLyricsHTML } = await import('../src/utils/genius.js');
+  return body.map(cells => {
+    const entry = {};
+    keys.forEach((key, index) => {
+      const value = (cells[index] || '').trim();
+      if (value) entry[key] = value;
+    });
+    return entry;
+  });
+}
+
+/**
+ * Read a manifest of songs to create
+ *
+ * JSON manifests are an array of rows (or { "songs": [...] }); CSV manifests
+ * have a header row. Each row needs artist and title, and may set album,
+ * difficulty, strategy, blankCount (or blank-count) and seed.
+ */
+function parseManifest(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Manifest not found: ${filePath}`);
+  }
 
-    console.log('Fetching lyrics...');
+  const content = fs.readFileSync(filePath, 'utf8');
+  let rows;
 
-    // Step 2: Fetch the lyrics page
-    const htmlContent = await fetchPageHTML(selectedSong.url);
-    const extracted = extractLyricsFromHTML(htmlContent);
-    const cleanedLyrics = cleanLyricsHTML(extracted.rawHTML);
+  if (filePath.toLowerCase().endsWith('.csv')) {
+    rows = parseCsv(content);
+  } else {
+    const parsed = JSON.parse(content);
+    rows = Array.isArray(parsed) ? parsed : parsed.songs;
+  }
 
-    console.log(`✓ Lyrics fetched (${cleanedLyrics.length} characters)`);
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error(`Manifest ${filePath} contains no songs`);
+  }
 
-    // Generate file paths
-    const lyricsFileName = `${songTitle.toLowerCase().replace(/\s+/g, '-')}`;
-    const lyricsPath = path.resolve(`src/data/lyrics/${lyricsFileName}.json`);
-    const quizPath = path.resolve(`src/data/quizzes/${lyricsFileName}-quiz.json`);
+  return rows.map((row, index) => {
+    if (!row.artist || !row.title) {
+      throw new Error(`Manifest row ${index + 1} needs both artist and title`);
+    }
 
-    // Step 3: Save raw lyrics
-    const songData = {
-      id: selectedSong.id,
-      title: selectedSong.title,
-      artist: selectedSong.primary_artist.name,
-      lyrics: cleanedLyrics,
-      url: selectedSong.url,
-      imageUrl: selectedSong.song_art_image_url,
-      thumbnailUrl: selectedSong.song_art_image_thumbnail_url,
-      releaseDate: selectedSong.release_date_for_display,
-      fetchedAt: new Date().toISOString(),
-      note: "For educational/personal use only. Ensure you have proper rights to use this content."
+    const rowBlankCount = row.blankCount ?? row['blank-count'];
+    return {
+      artist: String(row.artist),
+      title: String(row.title),
+      album: row.album ? String(row.album) : albumName,
+      difficulty: row.difficulty || difficulty,
+      strategy: row.strategy || strategy,
+      blankCount: rowBlankCount ? parseInt(rowBlankCount) : blankCount,
+      seed: row.seed !== undefined && row.seed !== '' ? parseSeed(String(row.seed)) : seed
     };
+  });
+}
 
-    // Create directories if they don't exist
-    fs.mkdirSync(path.dirname(lyricsPath), { recursive: true });
-    fs.mkdirSync(path.dirname(quizPath), { recursive: true });
+/**
+ * Describe a ranked search result's match, e.g. "92%" or "41% (remix)"
+ */
+function describeMatch(song) {
+  const { confidence, reasons } = song.match;
+  return reasons.length > 0
+    ? `${formatConfidence(confidence)} (${reasons.join(', ')})`
+    : formatConfidence(confidence);
+}
 
-    fs.writeFileSync(lyricsPath, JSON.stringify(songData, null, 2), 'utf8');
-    console.log(`✓ Lyrics saved to: ${lyricsPath}`);
+/**
+ * Search for a song without prompting
+ * Picks the best-ranked result if its confidence reaches --min-confidence;
+ * anything else is ambiguous and left for a human to resolve.
+ * @returns {Promise<Object>} { song } or { candidates } when ambiguous
+ */
+async function resolveSong(artist, songTitle, accessToken, album = '') {
+  const { searchSong } = await import('../src/utils/genius.js');
+  const results = await searchSong(artist, songTitle, accessToken, album);
 
-    // Step 4: Generate quiz
-    console.log(`\nGenerating quiz (${difficulty}, ${strategy} strategy)...`);
+  if (!results || results.length === 0) {
+    throw new Error(`No results found for "${songTitle}" by ${artist}`);
+  }
 
-    const allWords = extractWords(cleanedLyrics);
-    console.log(`  Found ${allWords.length} potential words to blank`);
+  if (results[0].match.confidence >= minConfidence) {
+    return { song: results[0] };
+  }
+
+  return { candidates: results.slice(0, 3) };
+}
 
-    if (!blankCount) {
-      const difficultyRatios = {
-        easy: 0.10,
-        medium: 0.20,
-        hard: 0.35
-      };
-      blankCount = Math.max(5, Math.floor(allWords.length * (difficultyRatios[difficulty] || 0.20)));
+/**
+ * Fetch lyrics for a selected song, save them and generate its quiz
+ * @param {Object} selectedSong - Genius search result
+ * @param {string} songTitle - Title as requested (used for file names)
+ * @param {Object} options - Quiz options (difficulty, strategy, blankCount, seed)
+ * @returns {Promise<Object>} { lyricsPath, quizPath, quizData }
+ */
+async function createQuizForSong(selectedSong, songTitle, options) {
+  // Import fetchPageHTML and other functions
+  const { fetchPageHTML, extractLyricsFromHTML, cleanLyricsHTML, getSongAlbum } = await import('../src/utils/genius.js');
+
+  // Generate file paths
+  const lyricsFileName = slugify(songTitle);
+  const lyricsPath = path.resolve(`src/data/lyrics/${lyricsFileName}.json`);
+  const quizPath = path.resolve(`src/data/quizzes/${lyricsFileName}-quiz.json`);
+
+  // Songs that share a title (covers, or two manifest rows) would share files;
+  // recreating the same song is fine, replacing a different one is not
+  if (fs.existsSync(lyricsPath)) {
+    const existing = JSON.parse(fs.readFileSync(lyricsPath, 'utf8'));
+    if (String(existing.id) !== String(selectedSong.id)) {
+      throw new Error(
+        `${path.relative(process.cwd(), lyricsPath)} already holds "${existing.title}" by ${existing.artist}; ` +
+        'move or rename it before creating this song'
+      );
     }
+  }
 
-    blankCount = Math.min(blankCount, allWords.length);
-    console.log(`  Creating ${blankCount} blanks`);
-
-    const selectedBlanks = selectBlanks(allWords, blankCount, strategy);
-    const quizLyrics = generateQuizLyrics(cleanedLyrics, selectedBlanks);
-
-    // Step 5: Save quiz
-    const quizData = {
-      id: selectedSong.id,
-      title: selectedSong.title,
-      artist: selectedSong.primary_artist.name,
-      difficulty,
-      lyrics: quizLyrics,
-      blanks: selectedBlanks.map((blank, index) => ({
-        id: index,
-        answer: blank.word,
-        lineIndex: blank.lineIndex,
-        position: blank.position
-      })),
-      metadata: {
-        originalFile: lyricsPath,
-        generatedAt: new Date().toISOString(),
-        strategy,
-        totalBlanks: selectedBlanks.length,
-        imageUrl: selectedSong.song_art_image_url,
-        thumbnailUrl: selectedSong.song_art_image_thumbnail_url,
-        url: selectedSong.url,
-        releaseDate: selectedSong.release_date_for_display
-      }
-    };
+  console.log('Fetching lyrics...');
+
+  // Fetch the lyrics page
+  const htmlContent = await fetchPageHTML(selectedSong.url);
+  const extracted = extractLyricsFromHTML(htmlContent);
+  const { lyrics: cleanedLyrics, annotations } = cleanLyricsHTML(extracted.rawHTML, { returnAnnotations: true });
+
+  console.log(`✓ Lyrics fetched (${cleanedLyrics.length} characters)`);
+
+  // Save raw lyrics
+  const songData = {
+    id: selectedSong.id,
+    title: selectedSong.title,
+    artist: selectedSong.primary_artist.name,
+    lyrics: cleanedLyrics,
+    url: selectedSong.url,
+    imageUrl: selectedSong.song_art_image_url,
+    thumbnailUrl: selectedSong.song_art_image_thumbnail_url,
+    releaseDate: selectedSong.release_date_for_display,
+    album: await getSongAlbum(selectedSong, accessToken),
+    ...(annotations.length > 0 && { annotations }),
+    fetchedAt: new Date().toISOString(),
+    note: "For educational/personal use only. Ensure you have proper rights to use this content."
+  };
+
+  // Create directories if they don't exist
+  fs.mkdirSync(path.dirname(lyricsPath), { recursive: true });
+  fs.mkdirSync(path.dirname(quizPath), { recursive: true });
+
+  fs.writeFileSync(lyricsPath, JSON.stringify(songData, null, 2), 'utf8');
+  console.log(`✓ Lyrics saved to: ${lyricsPath}`);
+
+  // Generate quiz
+  console.log(`\nGenerating quiz (${options.difficulty}, ${options.strategy} strategy, seed ${options.seed})...`);
+
+  const { quiz: quizData, candidateCount } = buildQuiz(songData, {
+    difficulty: options.difficulty,
+    blankCount: options.blankCount,
+    strategy: options.strategy,
+    phraseCount,
+    phraseLength,
+    lineCount,
+    sections,
+    excludeRepeats,
+    repeats,
+    choices,
+    rhymingDistractors,
+    corpusStats: options.strategy === 'distinctive' || choices ? loadCorpusStats() : null,
+    seed: options.seed,
+    originalFile: lyricsPath
+  });
+  console.log(`  Found ${candidateCount} potential words to blank`);
+  console.log(`  Created ${quizData.blanks.length} blanks`);
+
+  // Save quiz
+  fs.writeFileSync(quizPath, JSON.stringify(quizData, null, 2), 'utf8');
+
+  return { lyricsPath, quizPath, quizData };
+}
+
+/**
+ * Regenerate the quiz index so new quizzes show up in the app
+ */
+async function regenerateIndex() {
+  console.log('Regenerating quiz index...');
+  const { execSync } = await import('child_process');
+  try {
+    execSync('node scripts/generate-quiz-index.js', { stdio: 'inherit' });
+  } catch (err) {
+    console.warn('Warning: Failed to regenerate index. Run: npm run index');
+  }
+}
+
+/**
+ * Create one quiz, letting the user pick the search result
+ */
+async function createSingle() {
+  // Step 1: Search and confirm song selection
+  const selectedSong = await searchAndConfirm(artist, songTitle, accessToken);
+
+  console.log(`\n✓ Selected: "${selectedSong.title}" by ${selectedSong.primary_artist.name}\n`);
+
+  // Steps 2-5: Fetch, save and generate
+  const quizSeed = seed ?? createSeed();
+  const { lyricsPath, quizPath, quizData } = await createQuizForSong(selectedSong, songTitle, {
+    difficulty,
+    strategy,
+    blankCount,
+    seed: quizSeed
+  });
+
+  console.log(`\n✓ Quiz created successfully!\n`);
+  console.log(`Song: ${selectedSong.title} by ${selectedSong.primary_artist.name}`);
+  console.log(`Difficulty: ${difficulty}`);
+  console.log(`Blanks: ${quizData.blanks.length}`);
+  console.log(`Strategy: ${strategy}`);
+  console.log(`Seed: ${quizSeed}`);
+  console.log(`\nFiles created:`);
+  console.log(`  Lyrics: ${lyricsPath}`);
+  console.log(`  Quiz:   ${quizPath}`);
+  console.log(`\n⚠️  Remember: Only use this content if you have proper rights or it's in the public domain.\n`);
+
+  await regenerateIndex();
+}
+
+/**
+ * Create a quiz for every song in a manifest and report the results
+ * @returns {Promise<boolean>} True if every song succeeded
+ */
+async function createBatch() {
+  const rows = parseManifest(manifestFile);
+  console.log(`Loaded ${rows.length} songs from ${manifestFile}`);
+
+  const succeeded = [];
+  const ambiguous = [];
+  const failed = [];
+
+  for (const [index, row] of rows.entries()) {
+    console.log(`\n[${index + 1}/${rows.length}] "${row.title}" by ${row.artist}`);
 
-    fs.writeFileSync(quizPath, JSON.stringify(quizData, null, 2), 'utf8');
-
-    console.log(`\n✓ Quiz created successfully!\n`);
-    console.log(`Song: ${selectedSong.title} by ${selectedSong.primary_artist.name}`);
-    console.log(`Difficulty: ${difficulty}`);
-    console.log(`Blanks: ${selectedBlanks.length}`);
-    console.log(`Strategy: ${strategy}`);
-    console.log(`\nFiles created:`);
-    console.log(`  Lyrics: ${lyricsPath}`);
-    console.log(`  Quiz:   ${quizPath}`);
-    console.log(`\n⚠️  Remember: Only use this content if you have proper rights or it's in the public domain.\n`);
-
-    // Regenerate quiz index
-    console.log('Regenerating quiz index...');
-    const { execSync } = await import('child_process');
     try {
-      execSync('node scripts/generate-quiz-index.js', { stdio: 'inherit' });
-    } catch (err) {
-      console.warn('Warning: Failed to regenerate index. Run: npm run index');
+      const resolved = await resolveSong(row.artist, row.title, accessToken, row.album);
+
+      if (!resolved.song) {
+        console.log(`? No result reaches ${formatConfidence(minConfidence)} confidence, skipping`);
+        ambiguous.push({ row, candidates: resolved.candidates });
+        continue;
+      }
+
+      console.log(`✓ Matched: "${resolved.song.title}" by ${resolved.song.primary_artist.name} (${describeMatch(resolved.song)})`);
+      const rowSeed = row.seed ?? createSeed();
+      const { quizPath, quizData } = await createQuizForSong(resolved.song, row.title, { ...row, seed: rowSeed });
+      succeeded.push({ row, quizPath, blanks: quizData.blanks.length, seed: rowSeed });
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      failed.push({ row, error: error.message });
+    }
+  }
+
+  if (succeeded.length > 0) {
+    console.log('');
+    await regenerateIndex();
+  }
+
+  // Summary report
+  console.log(`\n=== Batch Summary ===\n`);
+  console.log(`Created:   ${succeeded.length}`);
+  console.log(`Ambiguous: ${ambiguous.length}`);
+  console.log(`Failed:    ${failed.length}`);
+
+  if (succeeded.length > 0) {
+    console.log(`\n✓ Created:`);
+    succeeded.forEach(({ row, quizPath, blanks, seed: rowSeed }) => {
+      console.log(`  "${row.title}" by ${row.artist} - ${blanks} blanks, ${row.difficulty}, ${row.strategy}, seed ${rowSeed}`);
+      console.log(`    ${quizPath}`);
+    });
+  }
+
+  if (ambiguous.length > 0) {
+    console.log(`\n? Ambiguous (run these one at a time to pick the right result):`);
+    ambiguous.forEach(({ row, candidates }) => {
+      console.log(`  "${row.title}" by ${row.artist} - closest results:`);
+      candidates.forEach(song => {
+        console.log(`    - "${song.title}" by ${song.primary_artist.name}, ${describeMatch(song)} (${song.url})`);
+      });
+    });
+  }
+
+  if (failed.length > 0) {
+    console.log(`\n✗ Failed:`);
+    failed.forEach(({ row, error }) => {
+      console.log(`  "${row.title}" by ${row.artist} - ${error}`);
+    });
+  }
+
+  console.log(`\n⚠️  Remember: Only use this content if you have proper rights or it's in the public domain.\n`);
+
+  return ambiguous.length === 0 && failed.length === 0;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    console.log('\n=== LyricsIQ Quiz Creator ===\n');
+
+    if (manifestFile) {
+      const allSucceeded = await createBatch();
+      if (!allSucceeded) {
+        process.exit(1);
+      }
+      return;
     }
 
+    await createSingle();
+
     console.log(`\nNext steps:`);
     console.log(`  1. Refresh your browser or restart dev server`);
     console.log(`  2. The new quiz should appear automatically!\n`);
@@ -10,12 +10,26 @@
  * - Educational fair use purposes
  *
  * Usage:
- * node scripts/fetch-lyrics-cli.js "Artist Name" "Song Title" [output-file.json]
+ * node scripts/fetch-lyrics-cli.js "Artist Name" "Song Title" [output-file.json] [options]
+ * node scripts/fetch-lyrics-cli.js --reclean [lyrics-file.json ...] [--dry-run]
  *
- * Requires GENIUS_ACCESS_TOKEN environment variable
+ * Options:
+ * --album <name> (prefer the version of the song on this album)
+ * --min-confidence <0-1> (refuse matches below this confidence, default: 0.7)
+ *
+ * --reclean re-runs the lyrics sanitizer over saved lyrics files (default: all
+ * of src/data/lyrics), so files fetched before it existed lose their markup
+ * and page cruft. Quizzes generated from a file are migrated with it: blanks
+ * follow their lines, and any that no longer fit are dropped and reported.
+ * Add --dry-run to report the changes without writing them.
+ *
+ * Requires GENIUS_ACCESS_TOKEN environment variable (except with --reclean)
  */
 
 import { fetchLyrics } from '../src/utils/lyrics-fetcher.js';
+import { DEFAULT_MIN_CONFIDENCE, parseConfidence, formatConfidence } from '../src/utils/search-ranking.js';
+import { sanitizeLyrics, sanitizeText } from '../src/utils/lyrics-sanitizer.js';
+import { isQuizOf, remapQuiz, remapLineValues } from '../src/utils/quiz-remap.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -25,33 +39,177 @@ const __dirname = path.dirname(__filename);
 
 // Parse command line arguments
 const args = process.argv.slice(2);
+const reclean = args[0] === '--reclean';
 
-if (args.length < 2) {
-  console.error('Usage: node scripts/fetch-lyrics-cli.js "Artist Name" "Song Title" [output-file.json]');
+if (!reclean && args.length < 2) {
+  console.error('Usage: node scripts/fetch-lyrics-cli.js "Artist Name" "Song Title" [output-file.json] [options]');
+  console.error('       node scripts/fetch-lyrics-cli.js --reclean [lyrics-file.json ...] [--dry-run]');
   console.error('Example: node scripts/fetch-lyrics-cli.js "Traditional" "Amazing Grace" amazing-grace.json');
+  console.error('\nOptions:');
+  console.error('  --album <name> (prefer the version of the song on this album)');
+  console.error(`  --min-confidence <0-1> (refuse matches below this confidence, default: ${DEFAULT_MIN_CONFIDENCE})`);
   console.error('\nRequires GENIUS_ACCESS_TOKEN environment variable');
   process.exit(1);
 }
 
 const artist = args[0];
 const songTitle = args[1];
-const outputFile = args[2] || `src/data/lyrics/${songTitle.toLowerCase().replace(/\s+/g, '-')}.json`;
+let outputFile = null;
+if (!reclean) {
+  outputFile = args[2] && !args[2].startsWith('--')
+    ? args[2]
+    : `src/data/lyrics/${songTitle.toLowerCase().replace(/\s+/g, '-')}.json`;
+}
+let albumName = '';
+let minConfidence = DEFAULT_MIN_CONFIDENCE;
+
+for (let i = 2; i < args.length; i++) {
+  if (args[i] === '--album' && args[i + 1]) {
+    albumName = args[i + 1];
+    i++;
+  } else if (args[i] === '--min-confidence') {
+    minConfidence = parseConfidence(args[i + 1]);
+    if (minConfidence === null) {
+      console.error(`Error: --min-confidence must be a number from 0 to 1, got ${JSON.stringify(args[i + 1] ?? '')}`);
+      console.error('Example: --min-confidence 0.8');
+      process.exit(1);
+    }
+    i++;
+  }
+}
 
 // Get access token from environment
 const accessToken = process.env.GENIUS_ACCESS_TOKEN;
 
-if (!accessToken) {
+if (!reclean && !accessToken) {
   console.error('Error: GENIUS_ACCESS_TOKEN environment variable is required');
   console.error('Get your token from: https://genius.com/api-clients');
   console.error('\nSet it with: export GENIUS_ACCESS_TOKEN="your-token-here"');
   process.exit(1);
 }
 
+/**
+ * Find the quizzes generated from a lyrics file
+ * Quizzes live in the quizzes directory next to the lyrics directory.
+ * @param {string} lyricsPath - Path to the lyrics file
+ * @param {Object} songData - The lyrics file's contents
+ * @returns {Array} Paths of matching quiz files
+ */
+function findQuizzesFor(lyricsPath, songData) {
+  const quizzesDir = path.resolve(path.dirname(lyricsPath), '../quizzes');
+  if (!fs.existsSync(quizzesDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(quizzesDir)
+    .filter(file => file.endsWith('.json') && file !== 'index.json')
+    .map(file => path.join(quizzesDir, file))
+    .filter(file => {
+      try {
+        const quiz = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return quiz.id === songData.id && isQuizOf(quiz, songData.lyrics);
+      } catch {
+        return false;
+      }
+    });
+}
+
+/**
+ * Re-sanitize saved lyrics files and migrate their quizzes
+ * @param {Array} files - Lyrics files (default: every file in src/data/lyrics)
+ * @param {boolean} dryRun - Report changes without writing them
+ */
+async function recleanFiles(files, dryRun) {
+  const lyricsDir = path.resolve(__dirname, '../src/data/lyrics');
+  const lyricsFiles = files.length > 0
+    ? files.map(file => path.resolve(file))
+    : fs.readdirSync(lyricsDir).filter(file => file.endsWith('.json')).map(file => path.join(lyricsDir, file));
+
+  console.log(`\nRecleaning ${lyricsFiles.length} lyrics file(s)${dryRun ? ' (dry run)' : ''}...\n`);
+
+  let changedCount = 0;
+
+  for (const lyricsPath of lyricsFiles) {
+    const songData = JSON.parse(fs.readFileSync(lyricsPath, 'utf8'));
+    const { lyrics, annotations: found, lineMap } = sanitizeLyrics(songData.lyrics);
+    const oldLines = songData.lyrics.split('\n');
+    const newLines = lyrics.split('\n');
+
+    // The markup is gone after the first reclean, so keep annotations saved then
+    const annotations = [
+      ...(songData.annotations || [])
+        .filter(annotation => newLines[lineMap[annotation.lineIndex]] === oldLines[annotation.lineIndex])
+        .map(annotation => ({ ...annotation, lineIndex: lineMap[annotation.lineIndex] })),
+      ...found
+    ].sort((a, b) => a.lineIndex - b.lineIndex || a.start - b.start);
+    const annotationsChanged = JSON.stringify(songData.annotations || []) !== JSON.stringify(annotations);
+
+    if (lyrics === songData.lyrics && !annotationsChanged) {
+      console.log(`  ✓ ${path.basename(lyricsPath)}: already clean`);
+      continue;
+    }
+
+    changedCount++;
+    const removedLines = lineMap.filter(mapped => mapped === null).length;
+    const editedLines = lineMap.filter((mapped, index) => mapped !== null && newLines[mapped] !== oldLines[index]).length;
+
+    console.log(`  ✓ ${path.basename(lyricsPath)}: ${editedLines} line(s) cleaned, ${removedLines} removed, ${annotations.length} annotation(s)`);
+
+    const recleanedAt = new Date().toISOString();
+    const recleaned = {
+      ...songData,
+      lyrics,
+      annotations: annotations.length > 0 ? annotations : undefined,
+      timestamps: songData.timestamps
+        ? remapLineValues(songData.timestamps, lineMap, newLines.length)
+        : undefined,
+      recleanedAt
+    };
+
+    for (const quizPath of findQuizzesFor(lyricsPath, songData)) {
+      const oldQuiz = JSON.parse(fs.readFileSync(quizPath, 'utf8'));
+      const { quiz, dropped } = remapQuiz(oldQuiz, songData.lyrics, lyrics, lineMap, { mapText: sanitizeText });
+      quiz.metadata = { ...quiz.metadata, recleanedAt };
+
+      console.log(`      ${path.basename(quizPath)}: ${quiz.blanks.length} of ${oldQuiz.blanks.length} blank(s) kept`);
+      dropped.forEach(blank => {
+        console.log(`        - dropped blank ${blank.id} "${blank.answer}" (line ${blank.lineIndex + 1})`);
+      });
+
+      if (!dryRun) {
+        fs.writeFileSync(quizPath, JSON.stringify(quiz, null, 2), 'utf8');
+      }
+    }
+
+    if (!dryRun) {
+      fs.writeFileSync(lyricsPath, JSON.stringify(recleaned, null, 2), 'utf8');
+    }
+  }
+
+  console.log(`\n✓ ${changedCount} of ${lyricsFiles.length} file(s) ${dryRun ? 'would change' : 'updated'}`);
+  if (changedCount > 0 && !dryRun) {
+    console.log('  Run "npm run index" to refresh the quiz index.');
+  }
+}
+
 async function main() {
+  if (reclean) {
+    try {
+      await recleanFiles(args.slice(1).filter(arg => arg !== '--dry-run'), args.includes('--dry-run'));
+    } catch (error) {
+      console.error(`\n✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+
   try {
     console.log(`\nFetching lyrics for "${songTitle}" by ${artist}...`);
 
     const result = await fetchLyrics(artist, songTitle, accessToken, {
+      albumName,
+      minConfidence,
       returnSongInfo: true
     });
 
@@ -71,6 +229,8 @@ async function main() {
       imageUrl: result.songInfo.imageUrl,
       thumbnailUrl: result.songInfo.thumbnailUrl,
       releaseDate: result.songInfo.releaseDate,
+      album: result.songInfo.album,
+      ...(result.annotations.length > 0 && { annotations: result.annotations }),
       fetchedAt: new Date().toISOString(),
       note: "For educational/personal use only. Ensure you have proper rights to use this content."
     };
@@ -82,6 +242,7 @@ async function main() {
     console.log(`\n✓ Success!`);
     console.log(`  Song: ${result.songInfo.title}`);
     console.log(`  Artist: ${result.songInfo.artist}`);
+    console.log(`  Match confidence: ${formatConfidence(result.songInfo.confidence)}`);
     console.log(`  Lyrics length: ${result.lyrics.length} characters`);
     console.log(`  Saved to: ${outputPath}`);
     console.log(`\n⚠️  Remember: Only use this content if you have proper rights or it's in the public domain.`);
@@ -14,11 +14,26 @@
  * Options:
  * --difficulty easy|medium|hard (default: medium)
  * --blank-count <number> (override difficulty preset)
- * --strategy random|important|frequent (default: random)
+ * --strategy random|important|frequent|rhyme|distinctive (default: random)
+ * --phrases <number> (multi-word phrase blanks, default: 0)
+ * --phrase-length <number> (words per phrase blank, default: 3)
+ * --lines <number> (whole-line blanks, default: 0)
+ * --sections <types> (only quiz these sections, e.g. chorus,bridge)
+ * --exclude-repeats (don't quiz sections that repeat an earlier one)
+ * --repeats off|same|first (repeated lines: blank independently, share one blank,
+ *   or quiz only the first copy; default: off)
+ * --no-choices (don't generate multiple-choice options)
+ * --rhyming-distractors (prefer multiple-choice options that rhyme with the answer)
+ * --seed <value> (reuse a seed to rebuild the same quiz)
+ * --corpus-fingerprint <hash> (with --seed: fail unless the corpus matches the
+ *   one recorded in the quiz being rebuilt, since distractors and the
+ *   distinctive strategy depend on it)
  */
 
 import fs from 'fs';
 import path from 'path';
+import { buildQuiz, createSeed, parseSeed } from '../src/utils/quiz-generator.js';
+import { loadCorpusStats } from '../src/utils/corpus-stats.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -28,11 +43,23 @@ if (args.length < 1) {
   console.error('\nOptions:');
   console.error('  --difficulty easy|medium|hard (default: medium)');
   console.error('  --blank-count <number> (override difficulty)');
-  console.error('  --strategy random|important|frequent (default: random)');
+  console.error('  --strategy random|important|frequent|rhyme|distinctive (default: random)');
+  console.error('  --phrases <number> (multi-word phrase blanks, default: 0)');
+  console.error('  --phrase-length <number> (words per phrase blank, default: 3)');
+  console.error('  --lines <number> (whole-line blanks, default: 0)');
+  console.error('  --sections <types> (only quiz these sections, e.g. chorus,bridge)');
+  console.error('  --exclude-repeats (don\'t quiz sections that repeat an earlier one)');
+  console.error('  --repeats off|same|first (repeated lines: blank independently, share one blank,');
+  console.error('    or quiz only the first copy; default: off)');
+  console.error('  --no-choices (don\'t generate multiple-choice options)');
+  console.error('  --rhyming-distractors (prefer multiple-choice options that rhyme with the answer)');
+  console.error('  --seed <value> (reuse a seed to rebuild the same quiz)');
+  console.error('  --corpus-fingerprint <hash> (fail unless the corpus matches the quiz being rebuilt)');
   console.error('\nExamples:');
   console.error('  node scripts/generate-quiz.js src/data/amazing-grace.json');
   console.error('  node scripts/generate-quiz.js src/data/song.json --difficulty hard');
   console.error('  node scripts/generate-quiz.js src/data/song.json quiz.json --blank-count 10');
+  console.error('  node scripts/generate-quiz.js src/data/song.json --seed 1234');
   process.exit(1);
 }
 
@@ -52,6 +79,16 @@ const outputFile = args[1] && !args[1].startsWith('--')
 let difficulty = 'medium';
 let blankCount = null;
 let strategy = 'random';
+let phraseCount = 0;
+let phraseLength = 3;
+let lineCount = 0;
+let sections = [];
+let excludeRepeats = false;
+let repeats = 'off';
+let choices = true;
+let rhymingDistractors = false;
+let seed = null;
+let corpusFingerprint = null;
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--difficulty' && args[i + 1]) {
@@ -63,142 +100,40 @@ for (let i = 0; i < args.length; i++) {
   if (args[i] === '--strategy' && args[i + 1]) {
     strategy = args[i + 1];
   }
-}
-
-/**
- * Clean and tokenize lyrics into words
- */
-function tokenizeLyrics(lyrics) {
-  // Remove common formatting markers
-  const cleanedLyrics = lyrics
-    .replace(/\[.*?\]/g, '') // Remove [Verse 1], [Chorus], etc.
-    .replace(/<[^>]*>/g, '') // Remove HTML tags
-    .replace(/&[^;]+;/g, '') // Remove HTML entities
-    .trim();
-
-  // Split into lines
-  const lines = cleanedLyrics.split('\n').filter(line => line.trim().length > 0);
-
-  return lines;
-}
-
-/**
- * Extract words from lyrics that can be blanked
- */
-function extractWords(lyrics) {
-  const words = [];
-  const lines = lyrics.split('\n');
-
-  lines.forEach((line, lineIndex) => {
-    // Skip empty lines and section markers
-    if (!line.trim() || line.match(/^\[.*\]$/)) {
-      return;
-    }
-
-    // Match words (including hyphenated words)
-    const wordMatches = [...line.matchAll(/\b[\w'-]+\b/g)];
-
-    wordMatches.forEach((match) => {
-      const word = match[0];
-      const position = match.index;
-
-      // Skip very short words (a, I, is, etc.) - they're too easy
-      if (word.length <= 2) {
-        return;
-      }
-
-      // Skip common words (optional - makes quiz harder)
-      const commonWords = ['the', 'and', 'but', 'for', 'with', 'from', 'that', 'this', 'have', 'has', 'was', 'were'];
-      if (commonWords.includes(word.toLowerCase())) {
-        return;
-      }
-
-      words.push({
-        word,
-        lineIndex,
-        position,
-        length: word.length
-      });
-    });
-  });
-
-  return words;
-}
-
-/**
- * Select words to blank based on strategy
- */
-function selectBlanks(words, count, strategy) {
-  if (words.length === 0) return [];
-
-  let selectedWords;
-
-  switch (strategy) {
-    case 'important':
-      // Prefer longer words (likely more meaningful)
-      selectedWords = [...words].sort((a, b) => b.length - a.length).slice(0, count);
-      break;
-
-    case 'frequent':
-      // Track word frequency and blank common ones
-      const frequency = {};
-      words.forEach(w => {
-        const lower = w.word.toLowerCase();
-        frequency[lower] = (frequency[lower] || 0) + 1;
-      });
-      selectedWords = [...words]
-        .sort((a, b) => frequency[b.word.toLowerCase()] - frequency[a.word.toLowerCase()])
-        .slice(0, count);
-      break;
-
-    case 'random':
-    default:
-      // Random selection
-      selectedWords = [...words].sort(() => Math.random() - 0.5).slice(0, count);
-      break;
+  if (args[i] === '--phrases' && args[i + 1]) {
+    phraseCount = parseInt(args[i + 1]);
+  }
+  if (args[i] === '--phrase-length' && args[i + 1]) {
+    phraseLength = parseInt(args[i + 1]);
+  }
+  if (args[i] === '--lines' && args[i + 1]) {
+    lineCount = parseInt(args[i + 1]);
+  }
+  if (args[i] === '--sections' && args[i + 1]) {
+    sections = args[i + 1].split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  }
+  if (args[i] === '--exclude-repeats') {
+    excludeRepeats = true;
+  }
+  if (args[i] === '--repeats' && args[i + 1]) {
+    repeats = args[i + 1];
+  }
+  if (args[i] === '--no-choices') {
+    choices = false;
+  }
+  if (args[i] === '--rhyming-distractors') {
+    rhymingDistractors = true;
+  }
+  if (args[i] === '--seed' && args[i + 1]) {
+    seed = parseSeed(args[i + 1]);
+  }
+  if (args[i] === '--corpus-fingerprint' && args[i + 1]) {
+    corpusFingerprint = args[i + 1];
   }
-
-  // Sort by line order for easier processing
-  return selectedWords.sort((a, b) => {
-    if (a.lineIndex !== b.lineIndex) return a.lineIndex - b.lineIndex;
-    return a.position - b.position;
-  });
 }
 
-/**
- * Generate quiz lyrics with blanks
- */
-function generateQuizLyrics(lyrics, blanks) {
-  const lines = lyrics.split('\n');
-  const blanksMap = {};
-
-  // Group blanks by line
-  blanks.forEach((blank, index) => {
-    if (!blanksMap[blank.lineIndex]) {
-      blanksMap[blank.lineIndex] = [];
-    }
-    blanksMap[blank.lineIndex].push({ ...blank, blankId: index });
-  });
-
-  const quizLines = lines.map((line, lineIndex) => {
-    if (!blanksMap[lineIndex]) {
-      return line;
-    }
-
-    // Sort blanks by position (descending) so we can replace from end to start
-    const lineBlanks = blanksMap[lineIndex].sort((a, b) => b.position - a.position);
-
-    let modifiedLine = line;
-    lineBlanks.forEach((blank) => {
-      const before = modifiedLine.substring(0, blank.position);
-      const after = modifiedLine.substring(blank.position + blank.word.length);
-      modifiedLine = before + `_____${blank.blankId}_____` + after;
-    });
-
-    return modifiedLine;
-  });
-
-  return quizLines.join('\n');
+if (seed === null) {
+  seed = createSeed();
 }
 
 /**
@@ -208,7 +143,8 @@ async function main() {
   try {
     console.log(`\nGenerating quiz from: ${inputFile}`);
     console.log(`Difficulty: ${difficulty}`);
-    console.log(`Strategy: ${strategy}\n`);
+    console.log(`Strategy: ${strategy}`);
+    console.log(`Seed: ${seed}\n`);
 
     // Read input file
     if (!fs.existsSync(inputFile)) {
@@ -221,53 +157,25 @@ async function main() {
       throw new Error('Input file must contain a "lyrics" field');
     }
 
-    // Extract all possible words
-    const allWords = extractWords(songData.lyrics);
-    console.log(`Found ${allWords.length} potential words to blank`);
-
-    // Determine blank count based on difficulty
-    if (!blankCount) {
-      const difficultyRatios = {
-        easy: 0.10,    // 10% of words
-        medium: 0.20,  // 20% of words
-        hard: 0.35     // 35% of words
-      };
-      blankCount = Math.max(5, Math.floor(allWords.length * (difficultyRatios[difficulty] || 0.20)));
-    }
-
-    blankCount = Math.min(blankCount, allWords.length);
-    console.log(`Creating ${blankCount} blanks`);
-
-    // Select words to blank
-    const selectedBlanks = selectBlanks(allWords, blankCount, strategy);
-
-    // Generate quiz lyrics
-    const quizLyrics = generateQuizLyrics(songData.lyrics, selectedBlanks);
-
-    // Create quiz data structure
-    const quizData = {
-      id: songData.id,
-      title: songData.title,
-      artist: songData.artist,
+    // Select words to blank and build the quiz
+    const { quiz: quizData, candidateCount } = buildQuiz(songData, {
       difficulty,
-      lyrics: quizLyrics,
-      blanks: selectedBlanks.map((blank, index) => ({
-        id: index,
-        answer: blank.word,
-        lineIndex: blank.lineIndex,
-        position: blank.position
-      })),
-      metadata: {
-        originalFile: inputFile,
-        generatedAt: new Date().toISOString(),
-        strategy,
-        totalBlanks: selectedBlanks.length,
-        imageUrl: songData.imageUrl,
-        thumbnailUrl: songData.thumbnailUrl,
-        url: songData.url,
-        releaseDate: songData.releaseDate
-      }
-    };
+      blankCount,
+      strategy,
+      phraseCount,
+      phraseLength,
+      lineCount,
+      sections,
+      excludeRepeats,
+      repeats,
+      choices,
+      rhymingDistractors,
+      corpusStats: strategy === 'distinctive' || choices ? loadCorpusStats() : null,
+      seed,
+      corpusFingerprint,
+      originalFile: inputFile
+    });
+    console.log(`Found ${candidateCount} potential words to blank`);
 
     // Write output file
     const outputPath = path.resolve(outputFile);
@@ -275,8 +183,9 @@ async function main() {
 
     console.log(`\n✓ Quiz generated successfully!`);
     console.log(`  Song: ${songData.title} by ${songData.artist}`);
-    console.log(`  Blanks: ${selectedBlanks.length}`);
+    console.log(`  Blanks: ${quizData.blanks.length}`);
     console.log(`  Strategy: ${strategy}`);
+    console.log(`  Seed: ${seed}`);
     console.log(`  Difficulty: ${difficulty}`);
     console.log(`  Saved to: ${outputPath}\n`);
 
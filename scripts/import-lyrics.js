@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Import lyrics from a local plain-text or LRC file
+ *
+ * Writes the same lyrics JSON as fetch-lyrics-cli.js, so public-domain or
+ * self-written songs can be added without Genius and passed straight to
+ * generate-quiz.js. Section headers like [Chorus] are kept as written.
+ *
+ * LRC files also record when each line is sung: timestamps[i] is the time in
+ * seconds of line i of the lyrics, which the sing-along quiz mode follows.
+ *
+ * IMPORTANT: Only import lyrics you have the right to use.
+ *
+ * Usage:
+ * node scripts/import-lyrics.js <lyrics.txt|lyrics.lrc> [options]
+ *
+ * Options:
+ * --artist <name> (required unless the LRC file has an [ar:] tag)
+ * --title <title> (required unless the LRC file has a [ti:] tag)
+ * --release-date <text> (shown with the quiz, e.g. "1779")
+ * --url <url> (link to the source of the lyrics)
+ * --output <file.json> (default: src/data/lyrics/<title>.json)
+ * --force (replace an existing lyrics file, leaving quizzes made from it without
+ *   their source)
+ *
+ * Examples:
+ * node scripts/import-lyrics.js amazing-grace.txt --artist "John Newton" --title "Amazing Grace"
+ * node scripts/import-lyrics.js my-song.lrc
+ */
+
+import { parseLrc, toTimedLyrics, isLrc } from '../src/utils/lrc.js';
+import { slugify } from '../src/utils/slug.js';
+import { findSourceLyrics } from '../src/utils/quiz-validator.js';
+import fs from 'fs';
+import path from 'path';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+if (args.length < 1) {
+  console.error('Usage: node scripts/import-lyrics.js <lyrics.txt|lyrics.lrc> [options]');
+  console.error('\nOptions:');
+  console.error('  --artist <name> (required unless the LRC file has an [ar:] tag)');
+  console.error('  --title <title> (required unless the LRC file has a [ti:] tag)');
+  console.error('  --release-date <text> (shown with the quiz, e.g. "1779")');
+  console.error('  --url <url> (link to the source of the lyrics)');
+  console.error('  --output <file.json> (default: src/data/lyrics/<title>.json)');
+  console.error('  --force (replace an existing lyrics file, leaving quizzes made from it without');
+  console.error('    their source)');
+  console.error('\nExamples:');
+  console.error('  node scripts/import-lyrics.js amazing-grace.txt --artist "John Newton" --title "Amazing Grace"');
+  console.error('  node scripts/import-lyrics.js my-song.lrc');
+  process.exit(1);
+}
+
+const inputFile = args[0];
+let artist = null;
+let title = null;
+let releaseDate = null;
+let url = null;
+let outputFile = null;
+let force = false;
+
+for (let i = 1; i < args.length; i++) {
+  if (args[i] === '--artist' && args[i + 1]) {
+    artist = args[i + 1];
+    i++;
+  } else if (args[i] === '--title' && args[i + 1]) {
+    title = args[i + 1];
+    i++;
+  } else if (args[i] === '--release-date' && args[i + 1]) {
+    releaseDate = args[i + 1];
+    i++;
+  } else if (args[i] === '--url' && args[i + 1]) {
+    url = args[i + 1];
+    i++;
+  } else if (args[i] === '--output' && args[i + 1]) {
+    outputFile = args[i + 1];
+    i++;
+  } else if (args[i] === '--force') {
+    force = true;
+  }
+}
+
+/**
+ * Tidy lyrics text: trim trailing spaces and collapse runs of blank lines
+ */
+function normalizeLyrics(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Find the quizzes generated from a lyrics file, as validate-data.js matches them
+ * Quizzes live in the quizzes directory next to the lyrics directory.
+ * @param {string} lyricsPath - Path to the lyrics file
+ * @returns {Array} Paths of the quiz files, relative to the working directory
+ */
+function findQuizzesFrom(lyricsPath) {
+  const quizzesDir = path.resolve(path.dirname(lyricsPath), '../quizzes');
+  if (!fs.existsSync(quizzesDir)) {
+    return [];
+  }
+
+  let lyricsFile;
+  try {
+    lyricsFile = { file: path.basename(lyricsPath), data: JSON.parse(fs.readFileSync(lyricsPath, 'utf8')) };
+  } catch {
+    return [];
+  }
+
+  return fs.readdirSync(quizzesDir)
+    .filter(file => file.endsWith('.json') && file !== 'index.json')
+    .map(file => path.join(quizzesDir, file))
+    .filter(file => {
+      try {
+        return findSourceLyrics(JSON.parse(fs.readFileSync(file, 'utf8')), [lyricsFile]) !== null;
+      } catch {
+        return false;
+      }
+    })
+    .map(file => path.relative(process.cwd(), file));
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    console.log(`\nImporting lyrics from: ${inputFile}`);
+
+    if (!fs.existsSync(inputFile)) {
+      throw new Error(`File not found: ${inputFile}`);
+    }
+
+    const content = fs.readFileSync(inputFile, 'utf8').replace(/^\uFEFF/, '');
+    let lyrics;
+    let timestamps;
+
+    if (inputFile.toLowerCase().endsWith('.lrc') || isLrc(content)) {
+      const { tags, lines } = parseLrc(content);
+      if (lines.length === 0) {
+        throw new Error('No timed lyrics found in LRC file');
+      }
+
+      artist = artist || tags.ar || null;
+      title = title || tags.ti || null;
+      ({ lyrics, timestamps } = toTimedLyrics(lines));
+      console.log(`✓ Parsed LRC file (${lines.length} timed lines)`);
+    } else {
+      lyrics = normalizeLyrics(content);
+    }
+
+    if (!artist || !title) {
+      throw new Error('Artist and title are required (use --artist and --title)');
+    }
+
+    if (!lyrics) {
+      throw new Error('Lyrics file is empty');
+    }
+
+    const slug = slugify(title);
+    const outputPath = path.resolve(outputFile || `src/data/lyrics/${slug}.json`);
+
+    // Replacing a lyrics file orphans the quizzes made from it
+    if (fs.existsSync(outputPath)) {
+      const quizzes = findQuizzesFrom(outputPath).map(file => `\n    ${file}`).join('');
+
+      if (!force) {
+        throw new Error(
+          `${path.relative(process.cwd(), outputPath)} already exists; use --output to save elsewhere, ` +
+          `or --force to replace it${quizzes && `\n  Quizzes made from it would lose their source:${quizzes}`}`
+        );
+      }
+      console.warn(`⚠️  Replacing ${path.relative(process.cwd(), outputPath)}` +
+        `${quizzes && `\n  Quizzes made from it no longer have their source:${quizzes}`}`);
+    }
+
+    // Same shape as fetch-lyrics-cli.js; local songs have no Genius id or artwork
+    const songData = {
+      id: `local-${slug}`,
+      title,
+      artist,
+      lyrics,
+      url,
+      imageUrl: null,
+      thumbnailUrl: null,
+      releaseDate,
+      fetchedAt: new Date().toISOString(),
+      source: path.basename(inputFile),
+      ...(timestamps && { timestamps }),
+      note: "For educational/personal use only. Ensure you have proper rights to use this content."
+    };
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(songData, null, 2), 'utf8');
+
+    console.log(`✓ Lyrics saved to: ${outputPath}`);
+    console.log(`\nSong: ${title} by ${artist}`);
+    console.log(`Lines: ${lyrics.split('\n').length}`);
+    console.log(`\nNext step: node scripts/generate-quiz.js ${path.relative(process.cwd(), outputPath)}\n`);
+
+  } catch (error) {
+    console.error(`\n✗ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
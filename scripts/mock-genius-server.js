@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the Genius API and lyrics pages
+ *
+ * Serves recorded fixtures from fixtures/genius so the fetch scripts can run
+ * without a token or network:
+ * - GET /search?q=<query>  -> search/<query as a slug>.json (no hits if missing)
+ * - GET /songs/<id>        -> songs/<id>.json
+ * - GET /<page path>       -> pages/<page path>.html
+ *
+ * Links to https://genius.com in the fixtures are rewritten to this server,
+ * so song URLs from a search lead back here. Search and song requests need an
+ * Authorization header, like the real API, but any token is accepted.
+ *
+ * Usage:
+ * node scripts/mock-genius-server.js [--port 4010] [--fixtures fixtures/genius]
+ *
+ * Then, in another terminal:
+ * export GENIUS_API_URL=http://localhost:4010 GENIUS_ACCESS_TOKEN=mock LYRICSIQ_CACHE=off
+ * node scripts/create-quiz.js "Aretha Franklin" "Amazing Grace"
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.resolve(__dirname, '../fixtures/genius');
+
+/**
+ * Turn a search query into a fixture name ("Amazing Grace Aretha Franklin" -> "amazing-grace-aretha-franklin")
+ */
+function querySlug(query) {
+  return query
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} options - Options
+ * @param {string} options.fixturesDir - Directory of recorded fixtures
+ * @returns {http.Server} The server
+ */
+function createMockGeniusServer({ fixturesDir = FIXTURES_DIR } = {}) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const baseUrl = `http://${req.headers.host}`;
+
+    const send = (status, contentType, body) => {
+      res.writeHead(status, { 'Content-Type': contentType });
+      res.end(body);
+    };
+
+    // Serve a fixture with genius.com links pointing back at this server
+    const sendFixture = (file, contentType) => {
+      const body = fs.readFileSync(file, 'utf8').replace(/https:\/\/genius\.com/g, baseUrl);
+      send(200, contentType, body);
+    };
+
+    const isApiRequest = url.pathname === '/search' || url.pathname.startsWith('/songs/');
+    if (isApiRequest && !req.headers.authorization) {
+      send(401, 'application/json', JSON.stringify({ meta: { status: 401, message: 'Unauthorized' } }));
+      return;
+    }
+
+    if (url.pathname === '/search') {
+      const file = path.join(fixturesDir, 'search', `${querySlug(url.searchParams.get('q') || '')}.json`);
+      if (fs.existsSync(file)) {
+        sendFixture(file, 'application/json');
+      } else {
+        send(200, 'application/json', JSON.stringify({ meta: { status: 200 }, response: { hits: [] } }));
+      }
+      return;
+    }
+
+    const songMatch = url.pathname.match(/^\/songs\/(\d+)$/);
+    const file = songMatch
+      ? path.join(fixturesDir, 'songs', `${songMatch[1]}.json`)
+      : path.join(fixturesDir, 'pages', `${path.basename(url.pathname)}.html`);
+
+    if (fs.existsSync(file)) {
+      sendFixture(file, songMatch ? 'application/json' : 'text/html; charset=utf-8');
+    } else {
+      send(404, 'text/plain', 'Not found');
+    }
+  });
+
+  return server;
+}
+
+// Run the server when called directly (check-pipeline.js imports it instead)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const args = process.argv.slice(2);
+  let port = 4010;
+  let fixturesDir = FIXTURES_DIR;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' && args[i + 1]) {
+      port = parseInt(args[i + 1]);
+      i++;
+    } else if (args[i] === '--fixtures' && args[i + 1]) {
+      fixturesDir = path.resolve(args[i + 1]);
+      i++;
+    }
+  }
+
+  const server = createMockGeniusServer({ fixturesDir });
+  server.listen(port, () => {
+    console.log(`\n✓ Mock Genius server listening on http://localhost:${port}`);
+    console.log(`  Fixtures: ${fixturesDir}`);
+    console.log(`\nPoint the scripts at it with:`);
+    console.log(`  export GENIUS_API_URL=http://localhost:${port} GENIUS_ACCESS_TOKEN=mock LYRICSIQ_CACHE=off\n`);
+  });
+}
+
+export {
+  querySlug,
+  createMockGeniusServer
+};
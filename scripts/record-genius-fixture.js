@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Record Genius responses as fixtures for the mock server
+ *
+ * Saves the raw search response, the chosen song's details and its lyrics
+ * page under fixtures/genius, named the way mock-genius-server.js looks them
+ * up. Add a case to fixtures/genius/cases.json and run
+ * `node scripts/check-pipeline.js --update` to snapshot it.
+ *
+ * Usage:
+ * node scripts/record-genius-fixture.js "Artist Name" "Song Title" [--pick <n>]
+ *
+ * Options:
+ * --pick <n> (record the nth search result instead of the first)
+ *
+ * Requires GENIUS_ACCESS_TOKEN environment variable
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getJSON } from '../src/utils/http-client.js';
+import { getApiUrl, fetchPageHTML } from '../src/utils/genius.js';
+import { querySlug } from './mock-genius-server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.resolve(__dirname, '../fixtures/genius');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+if (args.length < 2) {
+  console.error('Usage: node scripts/record-genius-fixture.js "Artist Name" "Song Title" [--pick <n>]');
+  console.error('\nRequires GENIUS_ACCESS_TOKEN environment variable');
+  process.exit(1);
+}
+
+const artist = args[0];
+const songTitle = args[1];
+let pick = 1;
+
+for (let i = 2; i < args.length; i++) {
+  if (args[i] === '--pick' && args[i + 1]) {
+    pick = parseInt(args[i + 1]);
+    i++;
+  }
+}
+
+const accessToken = process.env.GENIUS_ACCESS_TOKEN;
+
+if (!accessToken) {
+  console.error('Error: GENIUS_ACCESS_TOKEN environment variable is required');
+  process.exit(1);
+}
+
+/**
+ * Write a fixture file, creating its directory
+ */
+function writeFixture(relativePath, content) {
+  const filePath = path.join(FIXTURES_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+  console.log(`✓ Saved ${path.relative(process.cwd(), filePath)}`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    // Same query searchSong sends
+    const query = `${songTitle} ${artist}`;
+    const headers = {
+      'Authorization': `Bearer ${accessToken}`,
+      'User-Agent': 'Lyrics Fetcher and Cleaner'
+    };
+
+    console.log(`\nRecording "${songTitle}" by ${artist}...\n`);
+
+    const search = await getJSON(`${getApiUrl()}/search?q=${encodeURIComponent(query)}`, { headers, cache: false });
+    const hits = search.response?.hits || [];
+    const song = hits[pick - 1]?.result;
+
+    if (!song) {
+      throw new Error(`Search returned ${hits.length} result(s), nothing to record at position ${pick}`);
+    }
+
+    writeFixture(`search/${querySlug(query)}.json`, JSON.stringify(search, null, 2) + '\n');
+
+    const details = await getJSON(`${getApiUrl()}/songs/${song.id}`, { headers, cache: false });
+    writeFixture(`songs/${song.id}.json`, JSON.stringify(details, null, 2) + '\n');
+
+    const html = await fetchPageHTML(song.url);
+    writeFixture(`pages/${path.basename(new URL(song.url).pathname)}.html`, html);
+
+    console.log(`\n✓ Recorded "${song.title}" by ${song.primary_artist.name}\n`);
+
+  } catch (error) {
+    console.error(`\n✗ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
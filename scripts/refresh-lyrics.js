@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * Re-fetch saved lyrics from Genius and show what changed
+ *
+ * For each lyrics file, fetches the song's Genius page again, cleans it the
+ * same way fetch-lyrics-cli.js does and prints a line-level diff against the
+ * saved copy. If you confirm, the lyrics file is updated and every quiz made
+ * from it is regenerated: blanks on unchanged lines are kept as they were
+ * (same words, same choices), blanks on changed lines are dropped, and
+ * changed or added lines get new blanks picked with the quiz's original options.
+ *
+ * Lyrics imported from local files (see import-lyrics.js) are skipped.
+ *
+ * Usage:
+ * node scripts/refresh-lyrics.js [lyrics-file.json ...] [options]
+ *
+ * Options:
+ * --yes (apply every change without asking)
+ * --dry-run (only show the diffs)
+ *
+ * Needs no access token. Pages are always fetched fresh (LYRICSIQ_CACHE=refresh)
+ * unless LYRICSIQ_CACHE is set.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { fetchPageHTML, extractLyricsFromHTML, cleanLyricsHTML } from '../src/utils/genius.js';
+import { buildQuiz, createSeed } from '../src/utils/quiz-generator.js';
+import { loadCorpusStats } from '../src/utils/corpus-stats.js';
+import { diffLines, getLineMap, countChanges, formatDiff } from '../src/utils/line-diff.js';
+import { remapQuiz } from '../src/utils/quiz-remap.js';
+import { findSourceLyrics } from '../src/utils/quiz-validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LYRICS_DIR = path.resolve(__dirname, '../src/data/lyrics');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const files = args.filter(arg => !arg.startsWith('--'));
+const assumeYes = args.includes('--yes');
+const dryRun = args.includes('--dry-run');
+
+// A refresh is pointless if the page comes back from the cache
+if (!process.env.LYRICSIQ_CACHE) {
+  process.env.LYRICSIQ_CACHE = 'refresh';
+}
+
+/**
+ * Prompt user for confirmation
+ */
+function promptUser(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Find the quizzes generated from a lyrics file
+ * @param {string} lyricsPath - Path to the lyrics file
+ * @param {Object} songData - The lyrics file's contents
+ * @returns {Array} { quizPath, quiz } for each matching quiz
+ */
+function findQuizzes(lyricsPath, songData) {
+  const quizzesDir = path.resolve(path.dirname(lyricsPath), '../quizzes');
+  if (!fs.existsSync(quizzesDir)) {
+    return [];
+  }
+
+  const source = [{ file: path.basename(lyricsPath), data: songData }];
+
+  return fs.readdirSync(quizzesDir)
+    .filter(file => file.endsWith('.json') && file !== 'index.json')
+    .flatMap(file => {
+      const quizPath = path.join(quizzesDir, file);
+      try {
+        const quiz = JSON.parse(fs.readFileSync(quizPath, 'utf8'));
+        return findSourceLyrics(quiz, source) ? [{ quizPath, quiz }] : [];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Rebuild the buildQuiz options a quiz was generated with, from its metadata
+ * @param {Object} quiz - The quiz
+ * @returns {Object} Options for buildQuiz
+ */
+function getQuizOptions(quiz) {
+  const { metadata } = quiz;
+  const choices = Boolean(metadata.choices);
+
+  return {
+    difficulty: quiz.difficulty,
+    // Quizzes from before the counts asked for were recorded fall back to the counts made
+    blankCount: metadata.blankCount ?? null,
+    strategy: metadata.strategy,
+    phraseCount: metadata.phraseCount ?? (metadata.blankTypes?.phrase || 0),
+    phraseLength: metadata.phraseLength || 3,
+    lineCount: metadata.lineCount ?? (metadata.blankTypes?.line || 0),
+    sections: metadata.sectionTypes || [],
+    excludeRepeats: Boolean(metadata.excludeRepeats),
+    repeats: quiz.repeatMode || 'off',
+    choices,
+    rhymingDistractors: Boolean(metadata.rhymingDistractors),
+    corpusStats: metadata.strategy === 'distinctive' || choices ? loadCorpusStats() : null,
+    seed: metadata.seed ?? createSeed(),
+    originalFile: metadata.originalFile
+  };
+}
+
+/**
+ * Regenerate a quiz for updated lyrics, keeping blanks on unchanged lines
+ * @param {Object} quiz - The quiz
+ * @param {string} oldLyrics - Lyrics it was generated from
+ * @param {Object} songData - Updated lyrics file contents
+ * @param {Array} lineMap - Old line index -> new line index for unchanged lines
+ * @returns {Object} { quiz, kept, dropped, added }
+ */
+function refreshQuiz(quiz, oldLyrics, songData, lineMap) {
+  // New blanks only go on lines that changed or were added
+  const unchangedLines = new Set(lineMap.filter(index => index !== null));
+  const { quiz: fresh } = buildQuiz(songData, getQuizOptions(quiz));
+  const extraBlanks = fresh.blanks.filter(blank =>
+    [blank, ...(blank.repeats || [])].every(({ lineIndex }) => !unchangedLines.has(lineIndex))
+  );
+
+  const result = remapQuiz(quiz, oldLyrics, songData.lyrics, lineMap, { extraBlanks });
+  result.quiz.metadata = { ...result.quiz.metadata, refreshedAt: new Date().toISOString() };
+
+  return {
+    quiz: result.quiz,
+    kept: quiz.blanks.length - result.dropped.length,
+    dropped: result.dropped.length,
+    added: result.added
+  };
+}
+
+/**
+ * Refresh one lyrics file
+ * @param {string} lyricsPath - Path to the lyrics file
+ * @returns {Promise<string>} 'updated', 'unchanged', 'declined' or 'skipped'
+ */
+async function refreshFile(lyricsPath) {
+  const name = path.basename(lyricsPath);
+  const songData = JSON.parse(fs.readFileSync(lyricsPath, 'utf8'));
+
+  if (songData.source || !songData.url) {
+    console.log(`- ${name}: imported from ${songData.source || 'an unknown source'}, skipped`);
+    return 'skipped';
+  }
+
+  const htmlContent = await fetchPageHTML(songData.url);
+  const extracted = extractLyricsFromHTML(htmlContent);
+  const { lyrics, annotations } = cleanLyricsHTML(extracted.rawHTML, { returnAnnotations: true });
+
+  if (lyrics === songData.lyrics) {
+    console.log(`✓ ${name}: up to date`);
+    return 'unchanged';
+  }
+
+  const oldLines = songData.lyrics.split('\n');
+  const ops = diffLines(oldLines, lyrics.split('\n'));
+  const { added, removed } = countChanges(ops);
+  const quizzes = findQuizzes(lyricsPath, songData);
+
+  console.log(`\n~ ${name}: ${removed} line(s) removed, ${added} added`);
+  console.log(formatDiff(ops).split('\n').map(line => `    ${line}`).join('\n'));
+
+  if (dryRun) {
+    return 'declined';
+  }
+
+  if (!assumeYes) {
+    const quizNote = quizzes.length > 0 ? ` and regenerate ${quizzes.length} quiz(zes)` : '';
+    const answer = await promptUser(`\nUpdate ${name}${quizNote}? (y/N): `);
+    if (answer.trim().toLowerCase() !== 'y') {
+      console.log('  Left unchanged');
+      return 'declined';
+    }
+  }
+
+  const updated = {
+    ...songData,
+    lyrics,
+    annotations: annotations.length > 0 ? annotations : undefined,
+    fetchedAt: new Date().toISOString()
+  };
+  const lineMap = getLineMap(ops, oldLines.length);
+
+  quizzes.forEach(({ quizPath, quiz }) => {
+    const result = refreshQuiz(quiz, songData.lyrics, updated, lineMap);
+    fs.writeFileSync(quizPath, JSON.stringify(result.quiz, null, 2), 'utf8');
+    console.log(`  ✓ ${path.basename(quizPath)}: kept ${result.kept} blank(s), dropped ${result.dropped}, added ${result.added}`);
+  });
+
+  fs.writeFileSync(lyricsPath, JSON.stringify(updated, null, 2), 'utf8');
+  console.log(`  ✓ Saved ${name}`);
+
+  return 'updated';
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const lyricsFiles = files.length > 0
+    ? files.map(file => path.resolve(file))
+    : fs.readdirSync(LYRICS_DIR).filter(file => file.endsWith('.json')).map(file => path.join(LYRICS_DIR, file));
+
+  console.log(`\nRefreshing ${lyricsFiles.length} lyrics file(s)${dryRun ? ' (dry run)' : ''}...\n`);
+
+  const counts = { updated: 0, unchanged: 0, declined: 0, skipped: 0, failed: 0 };
+
+  for (const lyricsPath of lyricsFiles) {
+    try {
+      counts[await refreshFile(lyricsPath)]++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`✗ ${path.basename(lyricsPath)}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${counts.updated} updated, ${counts.unchanged} up to date, ${counts.declined} not updated, ` +
+    `${counts.skipped} skipped, ${counts.failed} failed`);
+
+  if (counts.updated > 0) {
+    console.log('Run "npm run index" to refresh the quiz index, then "npm run validate".');
+  }
+
+  if (counts.failed > 0) {
+    process.exit(1);
+  }
+}
+
+main();
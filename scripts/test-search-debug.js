@@ -4,7 +4,9 @@
  * Debug script to see raw Genius API response
  */
 
+import http from 'http';
 import https from 'https';
+import { getApiUrl } from '../src/utils/genius.js';
 
 const accessToken = process.env.GENIUS_ACCESS_TOKEN;
 
@@ -21,12 +23,15 @@ const query = encodeURIComponent(searchQuery);
 
 console.log(`Search query: "${searchQuery}"`);
 console.log(`Encoded: ${query}`);
-console.log(`API URL: https://api.genius.com/search?q=${query}`);
+const apiUrl = new URL(`${getApiUrl()}/search?q=${query}`);
+
+console.log(`API URL: ${apiUrl}`);
 console.log('---\n');
 
 const options = {
-  hostname: 'api.genius.com',
-  path: `/search?q=${query}`,
+  hostname: apiUrl.hostname,
+  port: apiUrl.port,
+  path: `${apiUrl.pathname}${apiUrl.search}`,
   method: 'GET',
   headers: {
     'Authorization': `Bearer ${accessToken}`,
@@ -34,7 +39,8 @@ const options = {
   }
 };
 
-const req = https.request(options, (res) => {
+const transport = apiUrl.protocol === 'http:' ? http : https;
+const req = transport.request(options, (res) => {
   let data = '';
 
   console.log(`Status Code: ${res.statusCode}\n`);
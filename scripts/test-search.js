@@ -2,9 +2,15 @@
 
 /**
  * Test script to debug Genius API search
+ *
+ * Usage:
+ * node scripts/test-search.js ["Artist Name"] ["Song Title"] ["Album Name"]
+ *
+ * Shows the ranked results with each one's match confidence.
  */
 
 import { searchSong } from '../src/utils/genius.js';
+import { formatConfidence } from '../src/utils/search-ranking.js';
 
 const accessToken = process.env.GENIUS_ACCESS_TOKEN;
 
@@ -15,17 +21,19 @@ if (!accessToken) {
 
 const artist = process.argv[2] || "Aretha Franklin";
 const songTitle = process.argv[3] || "Amazing Grace";
+const albumName = process.argv[4] || '';
 
 console.log(`Searching for: "${songTitle}" by ${artist}`);
 console.log('---');
 
 try {
-  const results = await searchSong(artist, songTitle, accessToken);
+  const results = await searchSong(artist, songTitle, accessToken, albumName);
 
   console.log(`Found ${results.length} results:\n`);
 
   results.slice(0, 5).forEach((song, index) => {
     console.log(`${index + 1}. "${song.title}" by ${song.primary_artist.name}`);
+    console.log(`   Confidence: ${formatConfidence(song.match.confidence)}${song.match.reasons.length > 0 ? ` (${song.match.reasons.join(', ')})` : ''}`);
     console.log(`   ID: ${song.id}`);
     console.log(`   URL: ${song.url}`);
     console.log(`   Image: ${song.song_art_image_thumbnail_url}`);
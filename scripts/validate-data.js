@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Check the lyrics, quiz and index files in src/data
+ *
+ * Every file is checked against its JSON schema (see /schemas), and each
+ * quiz against the lyrics it was generated from: placeholders match blanks,
+ * blank ids are contiguous, and putting the answers back gives the lyrics.
+ * Across files it reports quizzes whose lyrics file is gone, duplicate
+ * lyrics files and quiz ids, lyrics with no quiz, and index entries that
+ * don't match the quiz files.
+ *
+ * Usage:
+ * node scripts/validate-data.js [--data-dir <dir>] [--quiet]
+ *
+ * Options:
+ * --data-dir <dir> (directory with lyrics/ and quizzes/, default: src/data)
+ * --quiet (only list files with errors or warnings)
+ *
+ * Exits with an error if any file has errors; warnings alone don't fail.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  validateLyrics,
+  validateQuiz,
+  validateIndex,
+  findSourceLyrics
+} from '../src/utils/quiz-validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let dataDir = path.resolve(__dirname, '../src/data');
+let quiet = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--data-dir' && args[i + 1]) {
+    dataDir = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--quiet') {
+    quiet = true;
+  }
+}
+
+/**
+ * Read and parse every JSON file in a directory
+ * @param {string} dir - Directory
+ * @param {Function} report - Called with (file, result) for files that don't parse
+ * @returns {Array} { file, data } sorted by file name
+ */
+function readJsonFiles(dir, report) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && file !== 'index.json')
+    .sort()
+    .flatMap(file => {
+      try {
+        return [{ file, data: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }];
+      } catch (error) {
+        report(file, { errors: [`not valid JSON: ${error.message}`], warnings: [] });
+        return [];
+      }
+    });
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const lyricsDir = path.join(dataDir, 'lyrics');
+  const quizzesDir = path.join(dataDir, 'quizzes');
+  const indexFile = path.join(quizzesDir, 'index.json');
+
+  const results = new Map();
+  const report = (file, { errors = [], warnings = [] }) => {
+    const result = results.get(file) || { errors: [], warnings: [] };
+    result.errors.push(...errors);
+    result.warnings.push(...warnings);
+    results.set(file, result);
+  };
+
+  console.log(`\nValidating ${path.relative(process.cwd(), dataDir) || '.'}...\n`);
+
+  // Lyrics files
+  const lyricsFiles = readJsonFiles(lyricsDir, (file, result) => report(`lyrics/${file}`, result));
+  lyricsFiles.forEach(({ file, data }) => report(`lyrics/${file}`, validateLyrics(data)));
+
+  lyricsFiles.forEach(({ file, data }, index) => {
+    const earlier = lyricsFiles.slice(0, index).find(other => other.data.id === data.id);
+    if (!earlier) return;
+
+    if (earlier.data.lyrics === data.lyrics) {
+      report(`lyrics/${file}`, { errors: [`duplicate of lyrics/${earlier.file}`] });
+    } else {
+      report(`lyrics/${file}`, { warnings: [`same song id (${data.id}) as lyrics/${earlier.file}, with different lyrics`] });
+    }
+  });
+
+  // Quiz files
+  const quizFiles = readJsonFiles(quizzesDir, (file, result) => report(`quizzes/${file}`, result));
+  const usedLyrics = new Set();
+
+  quizFiles.forEach(({ file, data }, index) => {
+    const source = findSourceLyrics(data, lyricsFiles);
+    if (source) {
+      usedLyrics.add(source.file);
+    }
+    report(`quizzes/${file}`, validateQuiz(data, source ? source.data.lyrics : null));
+
+    // Shared links and challenges look quizzes up by id
+    const earlier = quizFiles.slice(0, index).find(other => other.data.id === data.id);
+    if (earlier) {
+      report(`quizzes/${file}`, { errors: [`same quiz id (${data.id}) as quizzes/${earlier.file}`] });
+    }
+  });
+
+  lyricsFiles
+    .filter(({ file }) => !usedLyrics.has(file) && !results.get(`lyrics/${file}`).errors.length)
+    .forEach(({ file }) => report(`lyrics/${file}`, { warnings: ['no quiz generated from this file'] }));
+
+  // Index
+  if (fs.existsSync(indexFile)) {
+    try {
+      const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+      const result = validateIndex(index);
+      report('quizzes/index.json', result);
+
+      if (result.errors.length === 0) {
+        const indexed = new Set();
+        index.quizzes.forEach(entry => {
+          const file = path.basename(entry.path);
+          const quiz = quizFiles.find(other => other.file === file);
+          indexed.add(file);
+
+          if (!quiz) {
+            report('quizzes/index.json', { errors: [`${entry.path} does not exist`] });
+          } else if (quiz.data.id !== entry.id || quiz.data.title !== entry.title || quiz.data.blanks?.length !== entry.blankCount) {
+            report('quizzes/index.json', { warnings: [`entry for ${file} is out of date (run npm run index)`] });
+          }
+        });
+
+        quizFiles
+          .filter(({ file }) => !indexed.has(file) && !results.get(`quizzes/${file}`).errors.length)
+          .forEach(({ file }) => report('quizzes/index.json', { warnings: [`${file} is not indexed (run npm run index)`] }));
+      }
+    } catch (error) {
+      report('quizzes/index.json', { errors: [`not valid JSON: ${error.message}`] });
+    }
+  } else {
+    report('quizzes/index.json', { warnings: ['missing (run npm run index)'] });
+  }
+
+  // Report
+  let errorCount = 0;
+  let warningCount = 0;
+
+  [...results.keys()].sort().forEach(file => {
+    const { errors, warnings } = results.get(file);
+    errorCount += errors.length;
+    warningCount += warnings.length;
+
+    if (errors.length > 0) {
+      console.log(`  ✗ ${file}`);
+    } else if (warnings.length > 0) {
+      console.log(`  ⚠ ${file}`);
+    } else if (!quiet) {
+      console.log(`  ✓ ${file}`);
+    }
+    errors.forEach(error => console.log(`      error: ${error}`));
+    warnings.forEach(warning => console.log(`      warning: ${warning}`));
+  });
+
+  console.log(`\nChecked ${lyricsFiles.length} lyrics and ${quizFiles.length} quiz file(s): ${errorCount} error(s), ${warningCount} warning(s)`);
+
+  if (errorCount > 0) {
+    console.error('\n✗ Validation failed\n');
+    process.exit(1);
+  }
+
+  console.log('\n✓ Data is valid\n');
+}
+
+main();
@@ -0,0 +1,145 @@
+/**
+ * Vite plugin that makes src/data the app's only copy of the data
+ *
+ * Only the lyrics and quizzes (with the quiz index) are published; the rest of
+ * src/data (the README, corpus-stats.json) is for the scripts.
+ *
+ * - Dev server: serves the published files at /data/..., and when a quiz or
+ *   lyrics file is added, changed or removed, rebuilds the quiz index and sends
+ *   the "lyricsiq:data-changed" HMR event so the song list reloads in place
+ * - Build: rebuilds the index if it is out of date, then emits the published
+ *   files into the output as /data/...
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateIndex } from '../src/utils/quiz-index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.resolve(__dirname, '../src/data');
+const URL_PREFIX = '/data/';
+const DATA_CHANGED_EVENT = 'lyricsiq:data-changed';
+const PUBLISHED_DIRS = ['lyrics', 'quizzes'];
+
+// Editors often write a file in several steps; wait for them to settle
+const REBUILD_DELAY = 100;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * List every file under a directory
+ * @param {string} dir - Directory
+ * @returns {Array} Paths relative to dir, with forward slashes
+ */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.isDirectory()) {
+      return listFiles(path.join(dir, entry.name)).map(file => `${entry.name}/${file}`);
+    }
+    return entry.isFile() ? [entry.name] : [];
+  });
+}
+
+/**
+ * Check whether a file is served to the app
+ * @param {string} relative - Path relative to src/data, with forward slashes
+ * @returns {boolean} True for files in the lyrics and quizzes directories
+ */
+function isPublished(relative) {
+  return PUBLISHED_DIRS.some(dir => relative.startsWith(`${dir}/`));
+}
+
+/**
+ * Check whether a changed file affects the quiz index
+ * @param {string} relative - Path relative to src/data
+ * @returns {boolean} True for lyrics and quiz files other than the index itself
+ */
+function affectsIndex(relative) {
+  const [dir, file, ...rest] = relative.split(path.sep);
+  return rest.length === 0 && (dir === 'lyrics' || dir === 'quizzes') &&
+    file?.endsWith('.json') && file !== 'index.json';
+}
+
+/**
+ * Create the plugin
+ * @returns {Object} Vite plugin
+ */
+function dataPlugin() {
+  return {
+    name: 'lyricsiq-data',
+
+    async buildStart() {
+      await generateIndex({ quiet: true });
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (!pathname.startsWith(URL_PREFIX)) {
+          next();
+          return;
+        }
+
+        const filePath = path.resolve(DATA_DIR, decodeURIComponent(pathname.slice(URL_PREFIX.length)));
+        const relative = path.relative(DATA_DIR, filePath).split(path.sep).join('/');
+
+        // Answer 404 rather than falling through to the SPA's index.html
+        if (!isPublished(relative) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+          res.statusCode = 404;
+          res.end('Not found');
+          return;
+        }
+
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        fs.createReadStream(filePath).pipe(res);
+      });
+
+      let timer = null;
+      const onFileChange = (file) => {
+        const relative = path.relative(DATA_DIR, file);
+        if (relative.startsWith('..') || !affectsIndex(relative)) {
+          return;
+        }
+
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+          try {
+            const { index, changed } = await generateIndex({ quiet: true });
+            if (changed) {
+              server.config.logger.info(`quiz index rebuilt: ${index.count} quizzes (${relative} changed)`, { timestamp: true });
+            }
+            server.ws.send({ type: 'custom', event: DATA_CHANGED_EVENT, data: { file: relative } });
+          } catch (error) {
+            server.config.logger.error(`Failed to rebuild quiz index: ${error.message}`, { timestamp: true });
+          }
+        }, REBUILD_DELAY);
+      };
+
+      server.watcher.add(DATA_DIR);
+      server.watcher.on('add', onFileChange);
+      server.watcher.on('change', onFileChange);
+      server.watcher.on('unlink', onFileChange);
+    },
+
+    generateBundle() {
+      listFiles(DATA_DIR).filter(isPublished).forEach(file => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `data/${file}`,
+          source: fs.readFileSync(path.join(DATA_DIR, file))
+        });
+      });
+    }
+  };
+}
+
+export {
+  DATA_CHANGED_EVENT,
+  dataPlugin
+};
@@ -1,85 +1,148 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import SongSelector from './components/SongSelector'
 import QuizView from './components/QuizView'
 import Results from './components/Results'
-import { decodeQuizState, encodeQuizState } from './utils/urlState'
-import { saveScore } from './utils/scoreStorage'
-import { compareAnswers } from './utils/textNormalize'
+import { readChallenge, getLegacyShareRedirect } from './utils/urlState'
+import { saveScore, savePracticeScore, getQuizScores, getPracticeScores } from './utils/scoreStorage'
+import { scoreQuiz, scoreFirstTries } from './utils/scoring'
+import { loadQuizById } from './utils/quizCatalog'
+import { useRoute, navigate, quizPath, resultsPath, artistPath, albumPath } from './utils/router'
+
+// Which song list each list route shows
+const BROWSE_ROUTES = {
+  songs: () => ({ view: 'songs' }),
+  artists: () => ({ view: 'artists' }),
+  albums: () => ({ view: 'albums' }),
+  artist: ({ artist }) => ({ view: 'artists', artist }),
+  album: ({ artist, album }) => ({ view: 'albums', artist, album }),
+  otherSongs: ({ artist }) => ({ view: 'albums', artist, album: null })
+}
 
 function App() {
-  const [view, setView] = useState('selector') // 'selector', 'quiz', 'results'
+  const route = useRoute()
   const [selectedQuiz, setSelectedQuiz] = useState(null)
   const [userAnswers, setUserAnswers] = useState({})
   const [score, setScore] = useState(null)
   const [challengeData, setChallengeData] = useState(null)
   const [startTime, setStartTime] = useState(null)
   const [completionTime, setCompletionTime] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+
+  // Where "back to songs" returns to, with the list's filters
+  const listPath = useRef('/')
 
-  // Check URL for shared quiz on mount
+  const quizId = route.name === 'quiz' || route.name === 'results' ? route.params.id : null
+  const challenge = quizId ? route.query.get('challenge') : null
+  const isLoaded = selectedQuiz && String(selectedQuiz.id) === quizId
+
+  // Old share links (/?quiz=<state>) open the quiz they point to
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search)
-    const sharedState = urlParams.get('quiz')
-
-    if (sharedState) {
-      try {
-        const decodedState = decodeQuizState(sharedState)
-        setChallengeData(decodedState)
-
-        // Load the actual quiz data based on the quiz ID
-        loadSharedQuiz(decodedState)
-      } catch (error) {
-        console.error('Failed to decode shared quiz:', error)
-      }
+    const redirect = getLegacyShareRedirect(window.location.search)
+    if (redirect) {
+      navigate(redirect, { replace: true })
     }
   }, [])
 
-  const loadSharedQuiz = async (challengeData) => {
-    try {
-      // Load the quiz index
-      const indexResponse = await fetch('/data/quizzes/index.json')
-      if (!indexResponse.ok) {
-        throw new Error('Failed to load quiz index')
-      }
+  // Bring the quiz, attempt and results in line with the URL, so any route
+  // can be opened directly, reloaded, or reached with back and forward
+  useEffect(() => {
+    if (!quizId) {
+      // Leaving a quiz abandons the attempt
+      setStartTime(null)
+      return
+    }
 
-      const index = await indexResponse.json()
+    let cancelled = false
+    setChallengeData(readChallenge(challenge))
 
-      // Find the quiz with matching ID
-      const quizInfo = index.quizzes.find(q => q.id === challengeData.quizId)
+    const startAttempt = () => {
+      setUserAnswers({})
+      setScore(null)
+      setStartTime(Date.now())
+      setCompletionTime(null)
+    }
 
-      if (!quizInfo) {
-        console.error('Could not find quiz with ID:', challengeData.quizId)
-        alert('Could not load the shared quiz. Please select a quiz from the list.')
+    const showRoute = (quiz) => {
+      if (route.name === 'quiz') {
+        // Coming back from the results starts over, as Try Again does
+        if (!isLoaded || score || !startTime) {
+          startAttempt()
+        }
         return
       }
 
-      // Load the quiz
-      const response = await fetch(quizInfo.path)
-      if (response.ok) {
-        const quiz = await response.json()
-        setSelectedQuiz(quiz)
-        setView('quiz')
+      if (isLoaded && score) return
+
+      // Reopened results show the latest saved attempt, practice or not
+      const saved = [...getQuizScores(quiz.id), ...getPracticeScores(quiz.id)]
+        .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+        .at(-1)
+      if (saved) {
+        setScore(saved)
+        setUserAnswers(saved.answers || {})
+        setCompletionTime(saved.completionTime ?? null)
       } else {
-        throw new Error(`Failed to load quiz from ${quizInfo.path}`)
+        navigate(quizPath(quizId, challenge), { replace: true })
       }
-    } catch (error) {
-      console.error('Failed to load shared quiz:', error)
-      alert('Could not load the shared quiz. Please select a quiz from the list.')
     }
-  }
+
+    if (isLoaded) {
+      showRoute(selectedQuiz)
+      return
+    }
+
+    setLoadError(null)
+    loadQuizById(quizId)
+      .then((quiz) => {
+        if (cancelled) return
+        if (!quiz) {
+          setLoadError('That quiz could not be found.')
+          return
+        }
+        setSelectedQuiz(quiz)
+        showRoute(quiz)
+      })
+      .catch((error) => {
+        if (cancelled) return
+        console.error('Failed to load quiz:', error)
+        setLoadError('Could not load the quiz. Please try again.')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [route])
+
+  // Name the page after the open quiz
+  useEffect(() => {
+    document.title = isLoaded
+      ? `${selectedQuiz.title} by ${selectedQuiz.artist} - LyricsIQ`
+      : 'LyricsIQ - Test Your Lyrics Knowledge'
+  }, [isLoaded, selectedQuiz])
 
   const handleQuizSelect = (quiz) => {
+    listPath.current = window.location.pathname + window.location.search
+
     setSelectedQuiz(quiz)
     setUserAnswers({})
     setScore(null)
     setStartTime(Date.now()) // Start timer
     setCompletionTime(null)
-    setView('quiz')
+    navigate(quizPath(quiz.id))
 
     // Scroll to top of page
     window.scrollTo(0, 0)
   }
 
-  const handleQuizSubmit = (answers) => {
+  const handleBrowse = (view, artist = null, album = null) => {
+    if (artist) {
+      navigate(view === 'albums' ? albumPath(artist, album) : artistPath(artist))
+    } else {
+      navigate(view === 'songs' ? '/' : `/${view}`)
+    }
+  }
+
+  const handleQuizSubmit = (answers, { answerMode = 'type', hints = {}, firstTries = null, timedOut = null } = {}) => {
     setUserAnswers(answers)
 
     // Calculate completion time
@@ -87,26 +150,28 @@ function App() {
     const timeInSeconds = Math.round((endTime - startTime) / 1000)
     setCompletionTime(timeInSeconds)
 
-    // Calculate score - exact matches with normalized text
-    const correctAnswers = selectedQuiz.blanks.filter((blank) => {
-      const userAnswer = answers[blank.id] || ''
-      const correctAnswer = blank.answer || ''
-      return compareAnswers(userAnswer, correctAnswer)
-    })
-
+    // Calculate score - words must match exactly, phrases and lines earn partial credit,
+    // and hints cost part of a blank's credit
     const scoreData = {
-      correct: correctAnswers.length,
-      total: selectedQuiz.blanks.length,
-      percentage: Math.round((correctAnswers.length / selectedQuiz.blanks.length) * 100),
+      ...scoreQuiz(selectedQuiz, answers, { hints }),
       answers: answers,
-      completionTime: timeInSeconds
+      answerMode,
+      completionTime: timeInSeconds,
+      // Sing-along only: blanks left empty when their line passed
+      ...(timedOut && { singAlong: true, timedOut }),
+      // Practice only: how many blanks were right the first time they were checked
+      ...(firstTries && { practice: true, ...scoreFirstTries(selectedQuiz, firstTries) })
     }
 
-    // Save score to localStorage
-    saveScore(selectedQuiz.id, selectedQuiz.title, selectedQuiz.artist, scoreData)
+    // Save score to localStorage, keeping practice runs out of the competitive scores
+    if (firstTries) {
+      savePracticeScore(selectedQuiz.id, selectedQuiz.title, selectedQuiz.artist, scoreData)
+    } else {
+      saveScore(selectedQuiz.id, selectedQuiz.title, selectedQuiz.artist, scoreData)
+    }
 
     setScore(scoreData)
-    setView('results')
+    navigate(resultsPath(selectedQuiz.id, challenge))
 
     // Scroll to top of page
     window.scrollTo(0, 0)
@@ -117,30 +182,32 @@ function App() {
     setScore(null)
     setStartTime(Date.now()) // Restart timer
     setCompletionTime(null)
-    setView('quiz')
+    navigate(quizPath(selectedQuiz.id, challenge))
 
     // Scroll to top of page
     window.scrollTo(0, 0)
   }
 
-  const handleNewQuiz = () => {
+  const leaveQuiz = (path) => {
     setSelectedQuiz(null)
     setUserAnswers({})
     setScore(null)
     setChallengeData(null)
-    setView('selector')
-
-    // Clear URL params
-    window.history.replaceState({}, '', window.location.pathname)
+    setLoadError(null)
+    navigate(path)
   }
 
+  const handleNewQuiz = () => leaveQuiz(listPath.current)
+
+  const browse = BROWSE_ROUTES[route.name]?.(route.params)
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50">
       <header className="bg-white shadow-sm">
         <div className="max-w-4xl mx-auto px-4 py-4">
           <h1
             className="text-3xl font-bold text-gray-900 cursor-pointer hover:text-purple-600 transition-colors"
-            onClick={handleNewQuiz}
+            onClick={() => leaveQuiz('/')}
           >
             LyricsIQ
           </h1>
@@ -151,12 +218,38 @@ function App() {
       </header>
 
       <main className="max-w-4xl mx-auto px-4 py-8">
-        {view === 'selector' && (
-          <SongSelector onQuizSelect={handleQuizSelect} />
+        {browse && (
+          <SongSelector
+            onQuizSelect={handleQuizSelect}
+            browse={browse}
+            onBrowse={handleBrowse}
+          />
+        )}
+
+        {quizId && loadError && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+            <p className="text-red-800">{loadError}</p>
+            <button
+              onClick={handleNewQuiz}
+              className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+            >
+              Choose a Song
+            </button>
+          </div>
         )}
 
-        {view === 'quiz' && selectedQuiz && (
+        {quizId && !loadError && !isLoaded && (
+          <div className="flex items-center justify-center py-12">
+            <div className="text-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600 mx-auto"></div>
+              <p className="mt-4 text-gray-600">Loading quiz...</p>
+            </div>
+          </div>
+        )}
+
+        {route.name === 'quiz' && isLoaded && !score && startTime && (
           <QuizView
+            key={startTime}
             quiz={selectedQuiz}
             initialAnswers={userAnswers}
             onSubmit={handleQuizSubmit}
@@ -166,7 +259,7 @@ function App() {
           />
         )}
 
-        {view === 'results' && selectedQuiz && score && (
+        {route.name === 'results' && isLoaded && score && (
           <Results
             quiz={selectedQuiz}
             score={score}
@@ -177,6 +270,18 @@ function App() {
             completionTime={completionTime}
           />
         )}
+
+        {route.name === 'notFound' && (
+          <div className="text-center py-12 bg-white rounded-lg shadow">
+            <p className="text-gray-600 mb-4">This page doesn't exist.</p>
+            <button
+              onClick={() => leaveQuiz('/')}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700"
+            >
+              Choose a Song
+            </button>
+          </div>
+        )}
       </main>
 
       <footer className="mt-16 py-8 text-center text-gray-500 text-sm">
@@ -0,0 +1,29 @@
+function GroupProgress({ progress }) {
+  return (
+    <div className="text-sm">
+      <div className="flex items-center justify-between text-gray-600 mb-1">
+        <span>
+          {progress.playedCount} of {progress.songCount} played
+        </span>
+        <span className="font-medium text-gray-900">{progress.completion}%</span>
+      </div>
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-purple-600 rounded-full"
+          style={{ width: `${progress.completion}%` }}
+        />
+      </div>
+      {progress.averageBest !== null && (
+        <div className="flex items-center justify-between text-gray-600 mt-2">
+          <span>Average best score</span>
+          <span className="font-bold text-purple-600">
+            {progress.averageBest}%
+            {progress.perfectCount > 0 && ` · ${progress.perfectCount} 🏆`}
+          </span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GroupProgress
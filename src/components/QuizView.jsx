@@ -1,9 +1,36 @@
-import { useState, useRef, useEffect } from 'react'
+import { useState, useRef, useEffect, useMemo } from 'react'
+import { getBlankType, splitAnswerWords, scoreBlank } from '../utils/scoring'
+import { getSectionName, getSectionBlanks } from '../utils/quizSections'
+import { hasTimestamps, getLineTimes, getTimedOutBlanks } from '../utils/singAlong'
+import {
+  DEFAULT_HINT_PENALTIES,
+  getHintPenalty,
+  describeLength,
+  getMaxLetters,
+  revealLetters,
+  getRepeatLine
+} from '../utils/hints'
 
 function QuizView({ quiz, initialAnswers, onSubmit, onBack, challengeScore, startTime }) {
   const [answers, setAnswers] = useState(initialAnswers || {})
   const [elapsedTime, setElapsedTime] = useState(0)
+  const [collapsedSections, setCollapsedSections] = useState({})
+  const [answerMode, setAnswerMode] = useState('type') // 'type', 'choice'
+  const [singAlong, setSingAlong] = useState(false)
+  const [songTime, setSongTime] = useState(0)
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [hints, setHints] = useState({})
+  const [openHint, setOpenHint] = useState(null) // { blankId, lineIndex }
+  const [practice, setPractice] = useState(false)
+  const [autoAdvance, setAutoAdvance] = useState(true)
+  const [checks, setChecks] = useState({}) // Practice: blank ID -> { answer, isCorrect, firstTry }
   const inputRefs = useRef({})
+  const lineRefs = useRef({})
+  const songStartRef = useRef(null)
+
+  const canSingAlong = hasTimestamps(quiz)
+  const lineTimes = useMemo(() => (canSingAlong ? getLineTimes(quiz) : null), [quiz, canSingAlong])
+  const hasStarted = isPlaying || songTime > 0
 
   // Update elapsed time every second
   useEffect(() => {
@@ -17,6 +44,52 @@ function QuizView({ quiz, initialAnswers, onSubmit, onBack, challengeScore, star
     return () => clearInterval(interval)
   }, [startTime])
 
+  // Run the song clock during a sing-along
+  useEffect(() => {
+    if (!isPlaying) return
+
+    const interval = setInterval(() => {
+      setSongTime((Date.now() - songStartRef.current) / 1000)
+    }, 200)
+
+    return () => clearInterval(interval)
+  }, [isPlaying])
+
+  // Lines appear as they're sung; a line's blanks close once it has passed
+  const isRevealed = (lineIndex) => !singAlong || (hasStarted && lineTimes.revealAt[lineIndex] <= songTime)
+  const hasPassed = (lineIndex) => singAlong && lineTimes.passAt[lineIndex] <= songTime
+
+  // The timed line being sung right now
+  const currentLine = singAlong && hasStarted
+    ? quiz.timestamps.findIndex(
+        (time, lineIndex) => time != null && time <= songTime && lineTimes.passAt[lineIndex] > songTime
+      )
+    : -1
+
+  // Follow the song: scroll to the current line and move to its blank
+  useEffect(() => {
+    if (currentLine === -1) return
+
+    lineRefs.current[currentLine]?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+
+    // Don't pull focus from a blank that is still open
+    const active = document.activeElement
+    if (active && ['INPUT', 'SELECT'].includes(active.tagName) && !active.disabled) return
+
+    const blank = quiz.blanks.find(
+      (b) => b.lineIndex === currentLine ||
+        (quiz.repeatMode === 'same' && b.repeats?.some((copy) => copy.lineIndex === currentLine))
+    )
+    if (blank) inputRefs.current[blank.id]?.focus({ preventScroll: true })
+  }, [currentLine])
+
+  // Hand in the answers when the song ends
+  useEffect(() => {
+    if (singAlong && isPlaying && songTime >= lineTimes.songLength) {
+      submitAnswers()
+    }
+  }, [songTime])
+
   // Format time as MM:SS
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60)
@@ -24,104 +97,388 @@ function QuizView({ quiz, initialAnswers, onSubmit, onBack, challengeScore, star
     return `${mins}:${secs.toString().padStart(2, '0')}`
   }
 
-  // Parse lyrics and replace blanks with input fields
-  const renderLyrics = () => {
-    const lines = quiz.lyrics.split('\n')
+  // Parse a lyrics line and replace blanks with input fields
+  const renderLine = (line, lineIndex) => {
+    if (!isRevealed(lineIndex)) return null
 
-    return lines.map((line, lineIndex) => {
-      // Check if line contains blanks
-      const blankPattern = /_____(\d+)_____/g
-      const parts = []
-      let lastIndex = 0
-      let match
+    const isLocked = hasPassed(lineIndex)
+    const lineClass = `min-h-[1.5rem] ${
+      isLocked ? 'opacity-50' : lineIndex === currentLine ? 'bg-purple-100 rounded' : ''
+    }`
+    const lineRef = (el) => (lineRefs.current[lineIndex] = el)
 
-      while ((match = blankPattern.exec(line)) !== null) {
-        const blankId = parseInt(match[1])
-        const blank = quiz.blanks.find((b) => b.id === blankId)
+    // Check if line contains blanks
+    const blankPattern = /_____(\d+)_____/g
+    const parts = []
+    let lastIndex = 0
+    let match
 
-        // Add text before blank
-        if (match.index > lastIndex) {
-          parts.push(
-            <span key={`text-${lineIndex}-${lastIndex}`}>
-              {line.substring(lastIndex, match.index)}
-            </span>
-          )
-        }
+    while ((match = blankPattern.exec(line)) !== null) {
+      const blankId = parseInt(match[1])
+      const blank = quiz.blanks.find((b) => b.id === blankId)
 
-        // Add input field for blank
-        const currentAnswer = answers[blankId] || ''
-        // Calculate size based on content, with a minimum
-        const inputSize = Math.max(
-          currentAnswer.length || 4,
-          blank.answer.length,
-          4
+      // Add text before blank
+      if (match.index > lastIndex) {
+        parts.push(
+          <span key={`text-${lineIndex}-${lastIndex}`}>
+            {line.substring(lastIndex, match.index)}
+          </span>
         )
+      }
+
+      // Add input field for blank
+      const currentAnswer = answers[blankId] || ''
+      const blankType = getBlankType(blank)
+      // In practice, blanks checked since they were last changed show right or wrong
+      const check = practice && checks[blankId]?.answer === currentAnswer ? checks[blankId] : null
+      const checkColor = check ? (check.isCorrect ? 'rgb(34, 197, 94)' : 'rgb(239, 68, 68)') : null
+      // Calculate size based on content, with a minimum
+      const inputSize = Math.max(
+        currentAnswer.length || 4,
+        blank.answer.length,
+        4
+      )
+      // Tell the player how many words a phrase or line needs
+      const placeholder = blankType === 'word'
+        ? '...'
+        : `${splitAnswerWords(blank.answer).length} words...`
 
+      // Copies of a blank on repeated lines share its answer
+      const isRepeatCopy = lineIndex !== blank.lineIndex
+      // In a sing-along the open copy takes focus; otherwise the first copy does
+      const inputRef = (singAlong ? isLocked : isRepeatCopy)
+        ? undefined
+        : (el) => (inputRefs.current[blankId] = el)
+
+      if (isRepeatCopy && quiz.repeatMode === 'first') {
+        // Only the first copy is quizzed; later ones echo what was typed there
+        parts.push(
+          <span
+            key={`blank-${blankId}-${lineIndex}`}
+            className={`mx-1 px-2 ${currentAnswer ? 'text-purple-700' : 'text-gray-400'}`}
+            style={{ borderBottom: '2px dashed rgb(216, 180, 254)' }}
+          >
+            {currentAnswer || '...'}
+          </span>
+        )
+      } else if (answerMode === 'choice' && blank.choices) {
+        parts.push(
+          <select
+            key={`blank-${blankId}-${lineIndex}`}
+            ref={inputRef}
+            value={blank.choices.includes(currentAnswer) ? currentAnswer : ''}
+            disabled={isLocked}
+            onChange={(e) => {
+              handleAnswerChange(blankId, e.target.value)
+              checkBlank(blankId, e.target.value)
+            }}
+            onKeyDown={(e) => handleKeyDown(e, blankId)}
+            className={`mx-1 px-1 py-0.5 bg-white border rounded ${
+              check ? (check.isCorrect ? 'border-green-500 text-green-800' : 'border-red-500 text-red-800') : 'border-purple-300 text-purple-900'
+            }`}
+          >
+            <option value="">...</option>
+            {blank.choices.map((choice) => (
+              <option key={choice} value={choice}>
+                {choice}
+              </option>
+            ))}
+          </select>
+        )
+      } else {
         parts.push(
           <input
-            key={`blank-${blankId}`}
-            ref={(el) => (inputRefs.current[blankId] = el)}
+            key={`blank-${blankId}-${lineIndex}`}
+            ref={inputRef}
             type="text"
             value={currentAnswer}
+            disabled={isLocked}
             onChange={(e) => handleAnswerChange(blankId, e.target.value)}
             onKeyDown={(e) => handleKeyDown(e, blankId)}
-            placeholder="..."
+            onBlur={(e) => checkBlank(blankId, e.target.value)}
+            placeholder={isLocked ? 'time up' : placeholder}
             size={inputSize}
-            className="mx-1 px-2 py-1 border-none outline-none bg-transparent text-center placeholder-gray-400"
+            className={`${blankType === 'line' ? 'w-full' : 'mx-1'} px-2 py-1 border-none outline-none bg-transparent text-center placeholder-gray-400 ${
+              check ? (check.isCorrect ? 'text-green-700' : 'text-red-700') : ''
+            }`}
             style={{
               border: 'none',
-              borderBottom: '2px solid rgb(192, 132, 252)',
+              borderBottom: `2px solid ${checkColor || 'rgb(192, 132, 252)'}`,
               outline: 'none',
               textDecoration: 'none'
             }}
           />
         )
-
-        lastIndex = match.index + match[0].length
+        if (!isLocked) {
+          parts.push(
+            <button
+              key={`hint-${blankId}-${lineIndex}`}
+              type="button"
+              tabIndex={-1}
+              onMouseDown={keepFocus}
+              onClick={() => toggleHint(blankId, lineIndex)}
+              title="Hints"
+              className={`text-xs align-super ${hints[blankId] ? 'opacity-100' : 'opacity-40 hover:opacity-100'}`}
+            >
+              💡
+            </button>
+          )
+        }
       }
 
-      // Add remaining text
-      if (lastIndex < line.length) {
-        parts.push(
-          <span key={`text-${lineIndex}-${lastIndex}`}>
-            {line.substring(lastIndex)}
-          </span>
-        )
-      }
+      lastIndex = match.index + match[0].length
+    }
 
-      // Return the line
-      if (parts.length === 0) {
-        // Line without blanks
-        return (
-          <div key={`line-${lineIndex}`} className="min-h-[1.5rem]">
-            {line || '\u00A0'}
-          </div>
-        )
-      }
+    // Add remaining text
+    if (lastIndex < line.length) {
+      parts.push(
+        <span key={`text-${lineIndex}-${lastIndex}`}>
+          {line.substring(lastIndex)}
+        </span>
+      )
+    }
 
+    // Return the line
+    if (parts.length === 0) {
+      // Line without blanks
       return (
-        <div key={`line-${lineIndex}`} className="min-h-[1.5rem]">
-          {parts}
+        <div key={`line-${lineIndex}`} ref={lineRef} className={lineClass}>
+          {line || '\u00A0'}
         </div>
       )
+    }
+
+    return (
+      <div key={`line-${lineIndex}`} ref={lineRef} className={lineClass}>
+        {parts}
+        {openHint?.lineIndex === lineIndex && answerMode === 'type' && !isLocked && renderHints(openHint.blankId)}
+      </div>
+    )
+  }
+
+  // Clicking a hint control leaves focus in the blank, so a half-typed answer
+  // isn't checked (and counted as a wrong first try) on blur
+  const keepFocus = (e) => e.preventDefault()
+
+  const toggleHint = (blankId, lineIndex) => {
+    const isOpen = openHint?.blankId === blankId && openHint.lineIndex === lineIndex
+    setOpenHint(isOpen ? null : { blankId, lineIndex })
+  }
+
+  const takeHint = (blankId, hint) => {
+    setHints((prev) => {
+      const blankHints = prev[blankId] || {}
+      return {
+        ...prev,
+        [blankId]: hint === 'letters'
+          ? { ...blankHints, letters: (blankHints.letters || 0) + 1 }
+          : { ...blankHints, [hint]: true }
+      }
     })
   }
 
+  // Show a penalty as the share of the blank's score it costs
+  const formatPenalty = (penalty) => `−${Math.round(penalty * 100)}%`
+
+  // Hints for one blank, shown under its line
+  const renderHints = (blankId) => {
+    const blank = quiz.blanks.find((b) => b.id === blankId)
+    const blankHints = hints[blankId] || {}
+    const letters = blankHints.letters || 0
+    const repeatLine = getRepeatLine(quiz, blank)
+    const hintButtonClass = 'px-2 py-0.5 bg-white border border-yellow-300 rounded text-xs text-yellow-800 hover:bg-yellow-100'
+
+    return (
+      <div
+        onMouseDown={keepFocus}
+        className="my-1 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs font-sans whitespace-normal space-y-1"
+      >
+        {blankHints.length && <p className="text-yellow-900">📏 {describeLength(blank.answer)}</p>}
+        {letters > 0 && (
+          <p className="text-yellow-900">🔤 Starts with “{revealLetters(blank.answer, letters)}…”</p>
+        )}
+        {blankHints.repeat && (
+          <p className="text-yellow-900">
+            🔁 Last time: “
+            {quiz.lyrics.split('\n')[repeatLine].replace(
+              /_____(\d+)_____/g,
+              (_, id) => answers[id]?.trim() || '____'
+            )}
+            ”
+          </p>
+        )}
+        <div className="flex flex-wrap items-center gap-2">
+          {!blankHints.length && (
+            <button type="button" onClick={() => takeHint(blankId, 'length')} className={hintButtonClass}>
+              Letter count ({formatPenalty(DEFAULT_HINT_PENALTIES.length)})
+            </button>
+          )}
+          {letters < getMaxLetters(blank.answer) && (
+            <button type="button" onClick={() => takeHint(blankId, 'letters')} className={hintButtonClass}>
+              {letters === 0
+                ? `First letter (${formatPenalty(DEFAULT_HINT_PENALTIES.firstLetter)})`
+                : `Next letter (${formatPenalty(DEFAULT_HINT_PENALTIES.nextLetter)})`}
+            </button>
+          )}
+          {repeatLine !== null && !blankHints.repeat && (
+            <button type="button" onClick={() => takeHint(blankId, 'repeat')} className={hintButtonClass}>
+              Line from last chorus ({formatPenalty(DEFAULT_HINT_PENALTIES.repeat)})
+            </button>
+          )}
+          {hints[blankId] && (
+            <span className="text-gray-500">
+              This blank is worth {formatPenalty(getHintPenalty(blankHints))} less
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={() => setOpenHint(null)}
+            className="ml-auto text-gray-500 hover:text-gray-700"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const toggleSection = (sectionId) => {
+    setCollapsedSections((prev) => ({
+      ...prev,
+      [sectionId]: !prev[sectionId]
+    }))
+  }
+
+  // Render a named section with its header as a collapse toggle
+  const renderSection = (section, lines) => {
+    if (!isRevealed(section.startLine)) return null
+
+    const isCollapsed = collapsedSections[section.id]
+    const sectionBlanks = getSectionBlanks(quiz, section)
+    const sectionFilled = sectionBlanks.filter((blank) => answers[blank.id]?.trim()).length
+
+    const contentLines = []
+    for (let lineIndex = section.startLine + 1; lineIndex <= section.endLine; lineIndex++) {
+      contentLines.push(renderLine(lines[lineIndex], lineIndex))
+    }
+
+    return (
+      <div key={`section-${section.id}`}>
+        <button
+          type="button"
+          onClick={() => toggleSection(section.id)}
+          className="min-h-[1.5rem] w-full text-left text-purple-700 hover:text-purple-900"
+        >
+          {isCollapsed ? '▸' : '▾'} [{getSectionName(section)}]
+          {sectionBlanks.length > 0 && (
+            <span className="ml-2 text-xs text-gray-500">
+              {sectionFilled}/{sectionBlanks.length} filled
+            </span>
+          )}
+        </button>
+        {!isCollapsed && contentLines}
+      </div>
+    )
+  }
+
+  // Render all lyrics, grouping lines under collapsible section headers
+  const renderLyrics = () => {
+    const lines = quiz.lyrics.split('\n')
+    const sectionsByHeader = {}
+    for (const section of quiz.sections || []) {
+      if (section.name) {
+        sectionsByHeader[section.startLine] = section
+      }
+    }
+
+    const rendered = []
+    let lineIndex = 0
+    while (lineIndex < lines.length) {
+      const section = sectionsByHeader[lineIndex]
+      if (section) {
+        rendered.push(renderSection(section, lines))
+        lineIndex = section.endLine + 1
+      } else {
+        rendered.push(renderLine(lines[lineIndex], lineIndex))
+        lineIndex++
+      }
+    }
+
+    return rendered
+  }
+
   const handleAnswerChange = (blankId, value) => {
     setAnswers((prev) => ({
       ...prev,
       [blankId]: value
     }))
+
+    // Typing the answer exactly is as good as leaving the blank. A variant or
+    // typo may be a word still being typed ("runnin" on the way to "running"),
+    // so those wait for Enter or leaving the blank.
+    if (practice && autoAdvance && answerMode === 'type') {
+      const blank = quiz.blanks.find((b) => b.id === blankId)
+      if (scoreBlank(blank, value).match === 'exact') {
+        checkBlank(blankId, value)
+        focusNextBlank(blankId)
+      }
+    }
+  }
+
+  // Practice: mark a blank right or wrong, remembering how the first try went
+  const checkBlank = (blankId, value) => {
+    if (!practice || !value?.trim()) return
+
+    const blank = quiz.blanks.find((b) => b.id === blankId)
+    const { isCorrect } = scoreBlank(blank, value)
+    setChecks((prev) => {
+      if (prev[blankId]?.answer === value) return prev
+      return {
+        ...prev,
+        [blankId]: { answer: value, isCorrect, firstTry: prev[blankId]?.firstTry ?? isCorrect }
+      }
+    })
+
+    if (isCorrect && autoAdvance && answerMode === 'choice') {
+      focusNextBlank(blankId)
+    }
+  }
+
+  const focusNextBlank = (currentBlankId) => {
+    // Skip over blanks hidden in collapsed sections
+    for (let nextBlankId = currentBlankId + 1; nextBlankId < quiz.blanks.length; nextBlankId++) {
+      if (inputRefs.current[nextBlankId]) {
+        inputRefs.current[nextBlankId].focus()
+        break
+      }
+    }
   }
 
   const handleKeyDown = (e, currentBlankId) => {
     // Move to next input on Enter or Tab
     if (e.key === 'Enter' || e.key === 'Tab') {
       e.preventDefault()
-      const nextBlankId = currentBlankId + 1
-      if (inputRefs.current[nextBlankId]) {
-        inputRefs.current[nextBlankId].focus()
-      }
+      focusNextBlank(currentBlankId)
+    }
+  }
+
+  const handleStartSong = () => {
+    songStartRef.current = Date.now()
+    setIsPlaying(true)
+  }
+
+  const submitAnswers = () => {
+    setIsPlaying(false)
+
+    if (singAlong) {
+      onSubmit(answers, { answerMode, hints, timedOut: getTimedOutBlanks(quiz, answers, songTime) })
+    } else if (practice) {
+      const firstTries = Object.fromEntries(
+        Object.entries(checks).map(([blankId, check]) => [blankId, check.firstTry])
+      )
+      onSubmit(answers, { answerMode, hints, firstTries })
+    } else {
+      onSubmit(answers, { answerMode, hints })
     }
   }
 
@@ -133,9 +490,16 @@ function QuizView({ quiz, initialAnswers, onSubmit, onBack, challengeScore, star
       if (!confirm) return
     }
 
-    onSubmit(answers)
+    submitAnswers()
   }
 
+  const hasChoices = quiz.blanks.some((blank) => blank.choices)
+
+  const practiceStarted = Object.keys(checks).length > 0
+  const rightCount = Object.entries(checks)
+    .filter(([blankId, check]) => check.isCorrect && check.answer === answers[blankId]).length
+  const firstTryCount = Object.values(checks).filter((check) => check.firstTry).length
+
   const filledCount = Object.keys(answers).filter((key) => answers[key]?.trim()).length
   const progress = Math.round((filledCount / quiz.blanks.length) * 100)
 
@@ -157,6 +521,69 @@ function QuizView({ quiz, initialAnswers, onSubmit, onBack, challengeScore, star
           )}
         </div>
 
+        {/* Answer mode toggle */}
+        {hasChoices && (
+          <div className="inline-flex bg-white bg-opacity-20 rounded-lg p-1 mb-4 mr-2">
+            {[
+              { mode: 'type', label: '⌨️ Type answers' },
+              { mode: 'choice', label: '☑️ Multiple choice' }
+            ].map(({ mode, label }) => (
+              <button
+                key={mode}
+                type="button"
+                onClick={() => setAnswerMode(mode)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  answerMode === mode ? 'bg-white text-purple-700' : 'text-white hover:bg-white hover:bg-opacity-10'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Sing-along toggle (can't be changed once the song has started) */}
+        {canSingAlong && (
+          <div className="inline-flex bg-white bg-opacity-20 rounded-lg p-1 mb-4">
+            <button
+              type="button"
+              onClick={() => setSingAlong(!singAlong)}
+              disabled={hasStarted || practice}
+              className={`px-3 py-1 rounded-md text-sm font-medium transition-colors disabled:cursor-not-allowed ${
+                singAlong ? 'bg-white text-purple-700' : 'text-white hover:bg-white hover:bg-opacity-10'
+              }`}
+            >
+              🎵 Sing-along
+            </button>
+          </div>
+        )}
+
+        {/* Practice toggle (can't be changed once a blank has been checked) */}
+        {!singAlong && (
+          <div className="inline-flex items-center bg-white bg-opacity-20 rounded-lg p-1 mb-4 ml-2">
+            <button
+              type="button"
+              onClick={() => setPractice(!practice)}
+              disabled={practiceStarted}
+              className={`px-3 py-1 rounded-md text-sm font-medium transition-colors disabled:cursor-not-allowed ${
+                practice ? 'bg-white text-purple-700' : 'text-white hover:bg-white hover:bg-opacity-10'
+              }`}
+            >
+              🎯 Practice
+            </button>
+            {practice && (
+              <label className="flex items-center gap-1 px-2 text-sm text-white">
+                <input
+                  type="checkbox"
+                  checked={autoAdvance}
+                  onChange={(e) => setAutoAdvance(e.target.checked)}
+                />
+                Auto-advance
+              </label>
+            )}
+          </div>
+        )}
+
         {challengeScore && (
           <div className="bg-white bg-opacity-20 rounded-lg p-3 mb-4 border border-white border-opacity-30">
             <p className="text-sm font-medium text-gray-900">
@@ -175,10 +602,28 @@ function QuizView({ quiz, initialAnswers, onSubmit, onBack, challengeScore, star
         <div className="flex justify-between items-center mt-2">
           <p className="text-sm text-white font-medium">
             {filledCount} / {quiz.blanks.length} blanks filled ({progress}%)
+            {practice && practiceStarted && ` · ${rightCount} right, ${firstTryCount} on the first try`}
           </p>
-          <p className="text-sm text-white font-medium">
-            ⏱️ {formatTime(elapsedTime)}
-          </p>
+          {singAlong ? (
+            <div className="flex items-center gap-2">
+              {!hasStarted && (
+                <button
+                  type="button"
+                  onClick={handleStartSong}
+                  className="px-2 py-0.5 bg-white text-purple-700 rounded text-xs font-medium hover:bg-purple-100"
+                >
+                  ▶ Start
+                </button>
+              )}
+              <p className="text-sm text-white font-medium">
+                🎵 {formatTime(Math.floor(songTime))} / {formatTime(Math.ceil(lineTimes.songLength))}
+              </p>
+            </div>
+          ) : (
+            <p className="text-sm text-white font-medium">
+              ⏱️ {formatTime(elapsedTime)}
+            </p>
+          )}
         </div>
       </div>
 
@@ -186,6 +631,12 @@ function QuizView({ quiz, initialAnswers, onSubmit, onBack, challengeScore, star
       <div className="p-6 md:p-8">
         <div className="max-w-2xl mx-auto">
           <div className="bg-gray-50 rounded-lg p-6 font-mono text-sm md:text-base leading-relaxed whitespace-pre-wrap overflow-visible">
+            {singAlong && !hasStarted && (
+              <p className="text-center text-gray-500">
+                Press ▶ Start and sing along. Lines appear as they're sung, and each blank
+                closes once its line has passed.
+              </p>
+            )}
             {renderLyrics()}
           </div>
         </div>
@@ -1,6 +1,8 @@
 import { useState } from 'react'
 import { generateShareUrl } from '../utils/urlState'
-import { compareAnswers } from '../utils/textNormalize'
+import { scoreBlank, scoreSections } from '../utils/scoring'
+import { getSectionName } from '../utils/quizSections'
+import { countHints } from '../utils/hints'
 
 function Results({ quiz, score, userAnswers, onTryAgain, onNewQuiz, challengeScore, completionTime }) {
   const [copied, setCopied] = useState(false)
@@ -48,6 +50,14 @@ function Results({ quiz, score, userAnswers, onTryAgain, onNewQuiz, challengeSco
   }
 
   const message = getScoreMessage()
+  const sectionScores = scoreSections(quiz, userAnswers, { hints: score.hints })
+
+  // In a sing-along, blanks left empty when their line passed are counted apart
+  // from wrong answers
+  const timedOut = new Set(score.timedOut || [])
+  const wrongCount = quiz.blanks.filter(
+    (blank) => !timedOut.has(blank.id) && scoreBlank(blank, userAnswers[blank.id]).credit === 0
+  ).length
 
   // Check if beat challenge
   const beatChallenge = challengeScore && score.percentage > challengeScore.percentage
@@ -66,7 +76,7 @@ function Results({ quiz, score, userAnswers, onTryAgain, onNewQuiz, challengeSco
         const blankId = parseInt(match[1])
         const blank = quiz.blanks.find((b) => b.id === blankId)
         const userAnswer = userAnswers[blankId]?.trim() || '(blank)'
-        const isCorrect = compareAnswers(userAnswer, blank.answer)
+        const result = scoreBlank(blank, userAnswers[blankId])
 
         // Add text before blank
         if (match.index > lastIndex) {
@@ -78,18 +88,79 @@ function Results({ quiz, score, userAnswers, onTryAgain, onNewQuiz, challengeSco
         }
 
         // Add user's answer with correct answer shown if wrong
-        if (isCorrect) {
+        if (timedOut.has(blankId)) {
+          parts.push(
+            <span key={`blank-${blankId}-${lineIndex}`} className="inline-flex flex-col items-start">
+              <span className="font-bold px-1 rounded text-gray-600 bg-gray-200">
+                ⏰ time up
+              </span>
+              <span className="font-bold px-1 rounded text-green-700 bg-green-50 text-xs mt-0.5">
+                ✓ {blank.answer}
+              </span>
+            </span>
+          )
+        } else if (result.isCorrect && result.match === 'variant') {
+          // Accepted spelling of the answer - show the one in the lyrics too
+          parts.push(
+            <span key={`blank-${blankId}-${lineIndex}`} className="inline-flex flex-col items-start">
+              <span className="font-bold px-1 rounded text-green-700 bg-green-100">
+                {userAnswer}
+              </span>
+              <span className="font-bold px-1 rounded text-green-700 bg-green-50 text-xs mt-0.5">
+                ≈ {blank.answer}
+              </span>
+            </span>
+          )
+        } else if (result.isCorrect) {
           parts.push(
             <span
-              key={`blank-${blankId}`}
+              key={`blank-${blankId}-${lineIndex}`}
               className="font-bold px-1 rounded text-green-700 bg-green-100"
             >
               {userAnswer}
             </span>
           )
+        } else if (result.credit > 0 && !result.words) {
+          // Word with a typo
+          parts.push(
+            <span key={`blank-${blankId}-${lineIndex}`} className="inline-flex flex-col items-start">
+              <span className="font-bold px-1 rounded text-yellow-800 bg-yellow-100">
+                {userAnswer}
+              </span>
+              <span className="font-bold px-1 rounded text-green-700 bg-green-50 text-xs mt-0.5">
+                ✓ {blank.answer} <span className="font-normal text-gray-500">(typo)</span>
+              </span>
+            </span>
+          )
+        } else if (result.credit > 0) {
+          // Partially correct phrase or line - mark which words were right
+          parts.push(
+            <span key={`blank-${blankId}-${lineIndex}`} className="inline-flex flex-col items-start">
+              <span className="font-bold px-1 rounded text-yellow-800 bg-yellow-100">
+                {userAnswer}
+              </span>
+              <span className="font-bold px-1 rounded bg-green-50 text-xs mt-0.5">
+                ✓{' '}
+                {result.words.map((word, wordIndex) => (
+                  <span
+                    key={wordIndex}
+                    className={
+                      word.isCorrect
+                        ? 'text-green-700'
+                        : word.credit > 0
+                          ? 'text-yellow-700 underline decoration-dotted'
+                          : 'text-red-700 underline'
+                    }
+                  >
+                    {word.expected}{' '}
+                  </span>
+                ))}
+              </span>
+            </span>
+          )
         } else {
           parts.push(
-            <span key={`blank-${blankId}`} className="inline-flex flex-col items-start">
+            <span key={`blank-${blankId}-${lineIndex}`} className="inline-flex flex-col items-start">
               <span className="font-bold px-1 rounded text-red-700 bg-red-100 line-through">
                 {userAnswer}
               </span>
@@ -100,6 +171,20 @@ function Results({ quiz, score, userAnswers, onTryAgain, onNewQuiz, challengeSco
           )
         }
 
+        // Mark answers that needed hints
+        const hintCount = countHints(score.hints?.[blankId])
+        if (hintCount > 0 && !timedOut.has(blankId)) {
+          parts.push(
+            <span
+              key={`hint-${blankId}-${lineIndex}`}
+              title={`${hintCount} hint${hintCount === 1 ? '' : 's'} used`}
+              className="text-xs align-super"
+            >
+              💡
+            </span>
+          )
+        }
+
         lastIndex = match.index + match[0].length
       }
 
@@ -148,6 +233,38 @@ function Results({ quiz, score, userAnswers, onTryAgain, onNewQuiz, challengeSco
             <div className="text-base text-gray-900">
               {score.correct} / {score.total} blanks correct
             </div>
+            {score.points !== undefined && score.points !== score.correct && (
+              <div className="text-sm text-gray-800 mt-1">
+                {score.points} points with partial credit
+              </div>
+            )}
+            {score.wordAccuracy !== undefined && (
+              <div className="text-sm text-gray-800 mt-1">
+                {score.wordAccuracy}% of words spelled right
+                {score.wordMatches?.typo > 0 && ` · ${score.wordMatches.typo} typo${score.wordMatches.typo === 1 ? '' : 's'}`}
+              </div>
+            )}
+            {score.practice && (
+              <div className="text-sm text-gray-800 mt-1">
+                🎯 Practice run: {score.firstTryAccuracy}% right first try, {score.percentage}% in the end
+              </div>
+            )}
+            {score.hintsUsed > 0 && (
+              <div className="text-sm text-gray-800 mt-1">
+                💡 {score.hintsUsed} hint{score.hintsUsed === 1 ? '' : 's'} used
+                · {score.correct - score.assistedCount} of {score.correct} correct blanks solved without help
+              </div>
+            )}
+            {score.singAlong && (
+              <div className="text-sm text-gray-800 mt-1">
+                🎵 Sing-along: {wrongCount} wrong, {timedOut.size} missed when time ran out
+              </div>
+            )}
+            {score.answerMode === 'choice' && (
+              <div className="text-sm text-gray-800 mt-1">
+                ☑️ Multiple choice
+              </div>
+            )}
             {completionTime && (
               <div className="text-sm text-gray-800 mt-2">
                 ⏱️ Completed in {formatTime(completionTime)}
@@ -171,32 +288,76 @@ function Results({ quiz, score, userAnswers, onTryAgain, onNewQuiz, challengeSco
           )}
         </div>
 
+        {/* Score by Section */}
+        {sectionScores.length > 1 && (
+          <div className="p-6 border-b border-gray-200">
+            <h3 className="text-xl font-bold mb-4 text-gray-900">Score by Section</h3>
+            <div className="space-y-3">
+              {sectionScores.map(({ section, correct, total, percentage }) => (
+                <div key={section.id}>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="font-medium text-gray-700">{getSectionName(section)}</span>
+                    <span className="text-gray-600">
+                      {correct} / {total} ({percentage}%)
+                    </span>
+                  </div>
+                  <div className="bg-gray-200 rounded-full h-2 overflow-hidden">
+                    <div
+                      className="bg-gradient-to-r from-purple-500 to-blue-500 h-full"
+                      style={{ width: `${percentage}%` }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Full Lyrics with Answers */}
         <div className="p-6 border-b border-gray-200">
           <h3 className="text-xl font-bold mb-4 text-gray-900">Your Completed Lyrics</h3>
           <div className="bg-gray-50 rounded-lg p-6 font-mono text-sm md:text-base leading-relaxed whitespace-pre-wrap">
             {renderLyricsWithAnswers()}
           </div>
-          <div className="mt-4 flex items-center gap-6 text-sm">
+          <div className="mt-4 flex flex-wrap items-center gap-x-6 gap-y-2 text-sm">
             <div className="flex items-center gap-2">
               <span className="inline-block w-4 h-4 bg-green-100 border border-green-300 rounded"></span>
               <span className="text-gray-600">Correct answer</span>
             </div>
+            <div className="flex items-center gap-2">
+              <span className="inline-block w-4 h-4 bg-yellow-100 border border-yellow-300 rounded"></span>
+              <span className="text-gray-600">Partly correct (missed words underlined)</span>
+            </div>
             <div className="flex items-center gap-2">
               <span className="inline-block w-4 h-4 bg-red-100 border border-red-300 rounded"></span>
               <span className="text-gray-600">Your incorrect answer (correct shown below)</span>
             </div>
+            {score.hintsUsed > 0 && (
+              <div className="flex items-center gap-2">
+                <span className="inline-block w-4 text-center">💡</span>
+                <span className="text-gray-600">Answered with hints</span>
+              </div>
+            )}
+            {score.singAlong && (
+              <div className="flex items-center gap-2">
+                <span className="inline-block w-4 h-4 bg-gray-200 border border-gray-300 rounded"></span>
+                <span className="text-gray-600">Missed when time ran out</span>
+              </div>
+            )}
           </div>
         </div>
 
         {/* Actions */}
         <div className="bg-gray-50 px-6 py-4 space-y-3">
-          <button
-            onClick={handleShare}
-            className="w-full px-6 py-3 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors"
-          >
-            {copied ? 'Link Copied! ✓' : 'Share & Challenge a Friend'}
-          </button>
+          {/* Practice runs don't count, so there's nothing to challenge */}
+          {!score.practice && (
+            <button
+              onClick={handleShare}
+              className="w-full px-6 py-3 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors"
+            >
+              {copied ? 'Link Copied! ✓' : 'Share & Challenge a Friend'}
+            </button>
+          )}
           <div className="flex gap-3">
             <button
               onClick={onTryAgain}
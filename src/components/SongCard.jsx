@@ -0,0 +1,79 @@
+import { prefetchQuiz } from '../utils/quizCatalog'
+import { isAssisted } from '../utils/scoreStorage'
+
+const getDifficultyColor = (difficulty) => {
+  switch (difficulty) {
+    case 'easy':
+      return 'bg-green-100 text-green-800'
+    case 'medium':
+      return 'bg-yellow-100 text-yellow-800'
+    case 'hard':
+      return 'bg-red-100 text-red-800'
+    default:
+      return 'bg-gray-100 text-gray-800'
+  }
+}
+
+function SongCard({ quiz, bestScore, opening, onOpen }) {
+  return (
+    <div
+      className={`bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow cursor-pointer ${
+        opening ? 'opacity-60 cursor-wait' : ''
+      }`}
+      onClick={() => onOpen(quiz)}
+      onMouseEnter={() => prefetchQuiz(quiz)}
+      onTouchStart={() => prefetchQuiz(quiz)}
+    >
+      {quiz.thumbnailUrl && (
+        <img
+          src={quiz.thumbnailUrl}
+          alt={`${quiz.title} album art`}
+          loading="lazy"
+          className="w-full h-48 object-cover"
+        />
+      )}
+      <div className="p-4">
+        <h3 className="font-bold text-lg text-gray-900 mb-1">
+          {quiz.title}
+        </h3>
+        <p className="text-gray-600 text-sm mb-3">
+          {quiz.artist}
+        </p>
+
+        {/* Best Score Badge */}
+        {bestScore && (
+          <div className="mb-3 bg-gradient-to-r from-purple-50 to-blue-50 rounded-lg p-2 border border-purple-200">
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-600">Best Score:</span>
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-bold text-purple-600">
+                  {bestScore.percentage}%
+                </span>
+                {isAssisted(bestScore) ? (
+                  <span className="text-sm" title="Scored with hints">💡</span>
+                ) : (
+                  bestScore.percentage === 100 && <span className="text-lg">🏆</span>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between">
+          <span
+            className={`px-3 py-1 rounded-full text-xs font-medium ${getDifficultyColor(
+              quiz.difficulty
+            )}`}
+          >
+            {quiz.difficulty}
+          </span>
+          <span className="text-gray-500 text-sm">
+            {opening ? 'Loading...' : `${quiz.blankCount} blanks`}
+          </span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SongCard
@@ -1,43 +1,104 @@
-import { useState, useEffect } from 'react'
-import { getBestScore, getStats } from '../utils/scoreStorage'
+import { useState, useEffect, useMemo } from 'react'
+import { getStats } from '../utils/scoreStorage'
+import { loadCatalog, loadQuiz, clearCatalogCache } from '../utils/quizCatalog'
+import {
+  DEFAULT_FILTERS,
+  DIFFICULTIES,
+  readFilters,
+  writeFilters,
+  hasActiveFilters,
+  getPlayHistory,
+  applyFilters
+} from '../utils/songFilters'
+import { NO_ALBUM, groupByArtist, groupByAlbum } from '../utils/catalogGroups'
+import { replaceQuery } from '../utils/router'
+import SongCard from './SongCard'
+import GroupProgress from './GroupProgress'
 
-function SongSelector({ onQuizSelect }) {
+const VIEW_LABELS = {
+  songs: 'Songs',
+  artists: 'Artists',
+  albums: 'Albums'
+}
+
+const PROGRESS_LABELS = {
+  all: 'All songs',
+  played: 'Played',
+  unplayed: 'Not played yet',
+  perfect: 'Perfect score'
+}
+
+const SORT_LABELS = {
+  artist: 'Artist',
+  releaseDate: 'Release date (newest)',
+  bestScore: 'Best score',
+  lastPlayed: 'Last played'
+}
+
+function SongSelector({ onQuizSelect, browse, onBrowse }) {
   const [quizzes, setQuizzes] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [stats, setStats] = useState(null)
+  const [openingId, setOpeningId] = useState(null)
+  const [openError, setOpenError] = useState(null)
+  const [filters, setFilters] = useState(() => readFilters(window.location.search))
+
+  // Keep the filters in the song list's URL so they survive a reload
+  useEffect(() => {
+    if (browse.view === 'songs') {
+      replaceQuery(writeFilters(window.location.search, filters))
+    }
+  }, [filters, browse.view])
+
+  const playHistory = useMemo(() => getPlayHistory(quizzes), [quizzes, stats])
+  const visibleQuizzes = useMemo(
+    () => applyFilters(quizzes, filters, playHistory),
+    [quizzes, filters, playHistory]
+  )
+  const artists = useMemo(() => groupByArtist(quizzes, playHistory), [quizzes, playHistory])
+  const albums = useMemo(() => groupByAlbum(quizzes, playHistory), [quizzes, playHistory])
+
+  const openArtist = artists.find((group) => group.artist === browse.artist)
+  const openAlbum = albums.find((group) =>
+    group.artist === browse.artist && (group.album || '') === (browse.album || '')
+  )
+
+  const showView = (view, artist = null, album = null) => {
+    onBrowse(view, artist, album)
+    window.scrollTo(0, 0)
+  }
+
+  const updateFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }))
+  }
+
+  const parseBlankLimit = (value) => (value === '' ? null : Math.max(0, Math.floor(Number(value))))
 
   useEffect(() => {
     loadQuizzes()
+
+    // In dev, the data plugin rebuilds the index when a quiz or lyrics file changes
+    if (import.meta.hot) {
+      const reload = () => {
+        clearCatalogCache()
+        loadQuizzes({ background: true })
+      }
+      import.meta.hot.on('lyricsiq:data-changed', reload)
+      return () => import.meta.hot.off('lyricsiq:data-changed', reload)
+    }
   }, [])
 
-  const loadQuizzes = async () => {
+  const loadQuizzes = async ({ background = false } = {}) => {
     try {
-      setLoading(true)
-
-      // Load the quiz index
-      const indexResponse = await fetch('/data/quizzes/index.json')
-      if (!indexResponse.ok) {
-        throw new Error('Failed to load quiz index')
+      if (!background) {
+        setLoading(true)
       }
 
-      const index = await indexResponse.json()
-      const loadedQuizzes = []
-
-      // Load each quiz file listed in the index
-      for (const quizInfo of index.quizzes) {
-        try {
-          const response = await fetch(quizInfo.path)
-          if (response.ok) {
-            const quiz = await response.json()
-            loadedQuizzes.push(quiz)
-          }
-        } catch (err) {
-          console.warn(`Failed to load ${quizInfo.path}:`, err)
-        }
-      }
+      setError(null)
 
-      setQuizzes(loadedQuizzes)
+      // The index has everything the cards show; quizzes load when opened
+      setQuizzes(await loadCatalog())
       setStats(getStats())
       setLoading(false)
     } catch (err) {
@@ -47,19 +108,88 @@ function SongSelector({ onQuizSelect }) {
     }
   }
 
-  const getDifficultyColor = (difficulty) => {
-    switch (difficulty) {
-      case 'easy':
-        return 'bg-green-100 text-green-800'
-      case 'medium':
-        return 'bg-yellow-100 text-yellow-800'
-      case 'hard':
-        return 'bg-red-100 text-red-800'
-      default:
-        return 'bg-gray-100 text-gray-800'
+  const openQuiz = async (entry) => {
+    if (openingId !== null) return
+
+    setOpeningId(entry.id)
+    setOpenError(null)
+    try {
+      onQuizSelect(await loadQuiz(entry))
+    } catch (err) {
+      console.error(`Failed to load ${entry.path}:`, err)
+      setOpenError(`Couldn't load "${entry.title}". Please try again.`)
+    } finally {
+      setOpeningId(null)
     }
   }
 
+  const renderSongs = (songs) => (
+    <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+      {songs.map((quiz) => (
+        <SongCard
+          key={quiz.id}
+          quiz={quiz}
+          bestScore={playHistory.get(quiz.id).bestScore}
+          opening={openingId === quiz.id}
+          onOpen={openQuiz}
+        />
+      ))}
+    </div>
+  )
+
+  const renderGroupCard = ({ key, title, subtitle, group, onClick }) => (
+    <div
+      key={key}
+      className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow cursor-pointer"
+      onClick={onClick}
+    >
+      {group.imageUrl && (
+        <img
+          src={group.imageUrl}
+          alt={`${title} art`}
+          loading="lazy"
+          className="w-full h-48 object-cover"
+        />
+      )}
+      <div className="p-4">
+        <h3 className="font-bold text-lg text-gray-900 mb-1">{title}</h3>
+        <p className="text-gray-600 text-sm mb-3">{subtitle}</p>
+        <GroupProgress progress={group.progress} />
+      </div>
+    </div>
+  )
+
+  const renderGroupHeader = ({ title, subtitle, group, onBack, onSubtitleClick }) => (
+    <div className="mb-8">
+      <button
+        onClick={onBack}
+        className="text-purple-600 hover:text-purple-800 font-medium mb-4"
+      >
+        ← All {browse.view}
+      </button>
+      <div className="bg-white rounded-lg shadow-md overflow-hidden md:flex">
+        {group.imageUrl && (
+          <img
+            src={group.imageUrl}
+            alt={`${title} art`}
+            className="w-full md:w-48 h-48 object-cover"
+          />
+        )}
+        <div className="p-6 flex-1">
+          <h3 className="text-2xl font-bold text-gray-900 mb-1">{title}</h3>
+          {onSubtitleClick ? (
+            <button onClick={onSubtitleClick} className="text-gray-600 hover:text-purple-600 mb-4">
+              {subtitle}
+            </button>
+          ) : (
+            <p className="text-gray-600 mb-4">{subtitle}</p>
+          )}
+          <GroupProgress progress={group.progress} />
+        </div>
+      </div>
+    </div>
+  )
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -76,7 +206,7 @@ function SongSelector({ onQuizSelect }) {
       <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
         <p className="text-red-800">{error}</p>
         <button
-          onClick={loadQuizzes}
+          onClick={() => loadQuizzes()}
           className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
         >
           Try Again
@@ -121,62 +251,194 @@ function SongSelector({ onQuizSelect }) {
         </div>
       )}
 
-      <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-        {quizzes.map((quiz) => {
-          const bestScore = getBestScore(quiz.id)
-          return (
-          <div
-            key={quiz.id}
-            className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow cursor-pointer"
-            onClick={() => onQuizSelect(quiz)}
-          >
-            {quiz.metadata?.thumbnailUrl && (
-              <img
-                src={quiz.metadata.thumbnailUrl}
-                alt={`${quiz.title} album art`}
-                className="w-full h-48 object-cover"
-              />
-            )}
-            <div className="p-4">
-              <h3 className="font-bold text-lg text-gray-900 mb-1">
-                {quiz.title}
-              </h3>
-              <p className="text-gray-600 text-sm mb-3">
-                {quiz.artist}
-              </p>
-
-              {/* Best Score Badge */}
-              {bestScore && (
-                <div className="mb-3 bg-gradient-to-r from-purple-50 to-blue-50 rounded-lg p-2 border border-purple-200">
-                  <div className="flex items-center justify-between">
-                    <span className="text-xs text-gray-600">Best Score:</span>
-                    <div className="flex items-center gap-2">
-                      <span className="text-sm font-bold text-purple-600">
-                        {bestScore.percentage}%
-                      </span>
-                      {bestScore.percentage === 100 && <span className="text-lg">🏆</span>}
-                    </div>
-                  </div>
-                </div>
-              )}
-
-              <div className="flex items-center justify-between">
-                <span
-                  className={`px-3 py-1 rounded-full text-xs font-medium ${getDifficultyColor(
-                    quiz.difficulty
-                  )}`}
-                >
-                  {quiz.difficulty}
-                </span>
-                <span className="text-gray-500 text-sm">
-                  {quiz.blanks.length} blanks
-                </span>
+      {openError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 text-center text-red-800">
+          {openError}
+        </div>
+      )}
+
+      {/* Songs, artists or albums */}
+      {quizzes.length > 0 && (
+        <div className="flex gap-2 mb-6">
+          {Object.entries(VIEW_LABELS).map(([view, label]) => (
+            <button
+              key={view}
+              onClick={() => showView(view)}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                browse.view === view
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-white text-gray-700 shadow hover:bg-purple-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Search, filters and sort */}
+      {quizzes.length > 0 && browse.view === 'songs' && (
+        <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+          <input
+            type="search"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            placeholder="Search by title or artist"
+            aria-label="Search by title or artist"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 text-sm">
+            <label className="flex flex-col gap-1 text-gray-600">
+              Difficulty
+              <select
+                value={filters.difficulty}
+                onChange={(e) => updateFilter('difficulty', e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white text-gray-900"
+              >
+                <option value="all">Any</option>
+                {DIFFICULTIES.map((difficulty) => (
+                  <option key={difficulty} value={difficulty}>{difficulty}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="flex flex-col gap-1 text-gray-600">
+              Blanks
+              <div className="flex items-center gap-1">
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.minBlanks ?? ''}
+                  onChange={(e) => updateFilter('minBlanks', parseBlankLimit(e.target.value))}
+                  placeholder="min"
+                  aria-label="Minimum blanks"
+                  className="w-full px-2 py-1 border border-gray-300 rounded-lg text-gray-900"
+                />
+                <span>–</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.maxBlanks ?? ''}
+                  onChange={(e) => updateFilter('maxBlanks', parseBlankLimit(e.target.value))}
+                  placeholder="max"
+                  aria-label="Maximum blanks"
+                  className="w-full px-2 py-1 border border-gray-300 rounded-lg text-gray-900"
+                />
               </div>
             </div>
+
+            <label className="flex flex-col gap-1 text-gray-600">
+              Show
+              <select
+                value={filters.progress}
+                onChange={(e) => updateFilter('progress', e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white text-gray-900"
+              >
+                {Object.entries(PROGRESS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="flex flex-col gap-1 text-gray-600">
+              Sort by
+              <select
+                value={filters.sort}
+                onChange={(e) => updateFilter('sort', e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white text-gray-900"
+              >
+                {Object.entries(SORT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
           </div>
-          )
-        })}
-      </div>
+
+          {hasActiveFilters(filters) && (
+            <div className="flex items-center justify-between mt-3 text-sm text-gray-600">
+              <span>
+                Showing {visibleQuizzes.length} of {quizzes.length} songs
+              </span>
+              <button
+                onClick={() => setFilters({ ...DEFAULT_FILTERS, sort: filters.sort })}
+                className="text-purple-600 hover:text-purple-800 font-medium"
+              >
+                Clear filters
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {browse.view === 'songs' && renderSongs(visibleQuizzes)}
+
+      {/* Artist list, or one artist's albums */}
+      {browse.view === 'artists' && !openArtist && (
+        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+          {artists.map((group) => renderGroupCard({
+            key: group.artist,
+            title: group.artist,
+            subtitle: `${group.songs.length} songs · ${group.albums.filter((album) => album.album).length} albums`,
+            group,
+            onClick: () => showView('artists', group.artist)
+          }))}
+        </div>
+      )}
+
+      {browse.view === 'artists' && openArtist && (
+        <div>
+          {renderGroupHeader({
+            title: openArtist.artist,
+            subtitle: `${openArtist.songs.length} songs`,
+            group: openArtist,
+            onBack: () => showView('artists')
+          })}
+          {openArtist.albums.map((album) => (
+            <div key={album.album || NO_ALBUM} className="mb-8">
+              <button
+                onClick={() => showView('albums', album.artist, album.album)}
+                className="block text-xl font-bold text-gray-900 mb-4 hover:text-purple-600"
+              >
+                {album.album || NO_ALBUM}
+              </button>
+              {renderSongs(album.songs)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Album list, or one album's songs */}
+      {browse.view === 'albums' && !openAlbum && (
+        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+          {albums.map((group) => renderGroupCard({
+            key: `${group.artist}/${group.album}`,
+            title: group.album || NO_ALBUM,
+            subtitle: group.artist,
+            group,
+            onClick: () => showView('albums', group.artist, group.album)
+          }))}
+        </div>
+      )}
+
+      {browse.view === 'albums' && openAlbum && (
+        <div>
+          {renderGroupHeader({
+            title: openAlbum.album || NO_ALBUM,
+            subtitle: openAlbum.artist,
+            group: openAlbum,
+            onBack: () => showView('albums'),
+            onSubtitleClick: () => showView('artists', openAlbum.artist)
+          })}
+          {renderSongs(openAlbum.songs)}
+        </div>
+      )}
+
+      {browse.view === 'songs' && quizzes.length > 0 && visibleQuizzes.length === 0 && (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <p className="text-gray-600">No songs match these filters.</p>
+        </div>
+      )}
 
       {quizzes.length === 0 && (
         <div className="text-center py-12 bg-white rounded-lg shadow">
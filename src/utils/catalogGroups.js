@@ -0,0 +1,125 @@
+/**
+ * Artist and album groupings of the song list, with the player's progress
+ * through each
+ */
+
+// Heading for an artist's songs that have no album in the index
+export const NO_ALBUM = 'Other songs'
+
+/**
+ * Sum up the player's progress through some songs
+ * @param {Array} songs - Index entries
+ * @param {Map} history - From getPlayHistory in songFilters.js
+ * @returns {Object} { songCount, playedCount, completion, averageBest, perfectCount }
+ *   (completion is the percentage of songs played; averageBest is null if none were)
+ */
+export function summarizeProgress(songs, history) {
+  const bestScores = songs
+    .map((song) => history.get(song.id)?.bestScore)
+    .filter(Boolean)
+  const totalBest = bestScores.reduce((sum, score) => sum + score.percentage, 0)
+
+  return {
+    songCount: songs.length,
+    playedCount: bestScores.length,
+    completion: songs.length > 0 ? Math.round((bestScores.length / songs.length) * 100) : 0,
+    averageBest: bestScores.length > 0 ? Math.round(totalBest / bestScores.length) : null,
+    perfectCount: bestScores.filter((score) => score.percentage === 100).length
+  }
+}
+
+/**
+ * Pick the art most of the songs share (singles often have their own)
+ */
+function pickArt(songs) {
+  const counts = new Map()
+  songs.filter((song) => song.imageUrl).forEach((song) => {
+    counts.set(song.imageUrl, (counts.get(song.imageUrl) || 0) + 1)
+  })
+
+  let best = null
+  counts.forEach((count, imageUrl) => {
+    if (!best || count > counts.get(best)) best = imageUrl
+  })
+  return best
+}
+
+/**
+ * Earliest release date among songs, as a timestamp (NaN if none parse)
+ */
+function getFirstRelease(songs) {
+  const dates = songs.map((song) => Date.parse(song.releaseDate)).filter((date) => !Number.isNaN(date))
+  return dates.length > 0 ? Math.min(...dates) : NaN
+}
+
+/**
+ * Order songs within an album or artist: by release date, then title
+ */
+function sortByRelease(songs) {
+  return [...songs].sort((a, b) => {
+    const dateA = Date.parse(a.releaseDate)
+    const dateB = Date.parse(b.releaseDate)
+    if (!Number.isNaN(dateA) && !Number.isNaN(dateB) && dateA !== dateB) return dateA - dateB
+    return a.title.localeCompare(b.title)
+  })
+}
+
+/**
+ * Group songs by album, oldest album first and songs without an album last
+ * @param {Array} songs - Index entries
+ * @param {Map} history - From getPlayHistory in songFilters.js
+ * @returns {Array} { artist, album, imageUrl, releaseDate, songs, progress } (album is null for NO_ALBUM)
+ */
+export function groupByAlbum(songs, history) {
+  const groups = new Map()
+  songs.forEach((song) => {
+    const key = `${song.artist}\u0000${song.album || ''}`
+    if (!groups.has(key)) {
+      groups.set(key, { artist: song.artist, album: song.album || null, songs: [] })
+    }
+    groups.get(key).songs.push(song)
+  })
+
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      songs: sortByRelease(group.songs),
+      imageUrl: pickArt(group.songs),
+      releaseDate: getFirstRelease(group.songs),
+      progress: summarizeProgress(group.songs, history)
+    }))
+    .sort((a, b) => {
+      if ((a.album === null) !== (b.album === null)) return a.album === null ? 1 : -1
+      const byDate = (Number.isNaN(a.releaseDate) ? Infinity : a.releaseDate) -
+        (Number.isNaN(b.releaseDate) ? Infinity : b.releaseDate)
+      return a.artist.localeCompare(b.artist) || byDate || (a.album || '').localeCompare(b.album || '')
+    })
+}
+
+/**
+ * Group songs by artist, each with its albums
+ * @param {Array} songs - Index entries
+ * @param {Map} history - From getPlayHistory in songFilters.js
+ * @returns {Array} { artist, imageUrl, albums, songs, progress } sorted by artist
+ */
+export function groupByArtist(songs, history) {
+  const albums = groupByAlbum(songs, history)
+  const artists = new Map()
+
+  albums.forEach((album) => {
+    if (!artists.has(album.artist)) {
+      artists.set(album.artist, { artist: album.artist, albums: [], songs: [] })
+    }
+    const artist = artists.get(album.artist)
+    artist.albums.push(album)
+    artist.songs.push(...album.songs)
+  })
+
+  return [...artists.values()]
+    .map((artist) => ({
+      ...artist,
+      imageUrl: pickArt(artist.songs),
+      progress: summarizeProgress(artist.songs, history)
+    }))
+    .sort((a, b) => a.artist.localeCompare(b.artist))
+}
@@ -0,0 +1,153 @@
+/**
+ * Word statistics across every lyrics file, used to find words that are
+ * characteristic of one song rather than common across the catalog (TF-IDF)
+ *
+ * The statistics are saved in src/data/corpus-stats.json together with a
+ * fingerprint of the lyrics files. Only scripts/build-corpus-stats.js writes
+ * that file; when a lyrics file has been added, removed or changed since, the
+ * generators compute fresh statistics in memory and leave the file alone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { isLyricLine, tokenizeLine } from './quiz-generator.js';
+import { foldText } from './textNormalize.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LYRICS_DIR = path.resolve(__dirname, '../data/lyrics');
+const CACHE_FILE = path.resolve(__dirname, '../data/corpus-stats.json');
+
+/**
+ * Read every lyrics file in a directory
+ * @param {string} lyricsDir - Directory of lyrics JSON files
+ * @returns {Array} { file, content } sorted by file name
+ */
+function readLyricsFiles(lyricsDir) {
+  return fs.readdirSync(lyricsDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({
+      file,
+      content: fs.readFileSync(path.join(lyricsDir, file), 'utf8')
+    }));
+}
+
+/**
+ * Hash the names and contents of the lyrics files
+ * @param {Array} files - Files from readLyricsFiles
+ * @returns {string} Hex digest
+ */
+function fingerprintFiles(files) {
+  const hash = crypto.createHash('sha256');
+  files.forEach(({ file, content }) => {
+    hash.update(file);
+    hash.update('\0');
+    hash.update(content);
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Count the words of one song's lyrics
+ * @param {string} lyrics - The lyrics text
+ * @returns {Object} Folded word (see foldText) -> number of occurrences
+ */
+function countTerms(lyrics) {
+  const counts = {};
+  lyrics.split('\n').forEach(line => {
+    if (!isLyricLine(line)) {
+      return;
+    }
+    tokenizeLine(line).forEach(({ word }) => {
+      const term = foldText(word);
+      counts[term] = (counts[term] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Build corpus statistics from scratch
+ * @param {string} lyricsDir - Directory of lyrics JSON files
+ * @returns {Object} { generated, fingerprint, documentCount, documentFrequency }
+ */
+function buildCorpusStats(lyricsDir = LYRICS_DIR) {
+  const files = readLyricsFiles(lyricsDir);
+  const documentFrequency = {};
+  let documentCount = 0;
+
+  files.forEach(({ file, content }) => {
+    try {
+      const songData = JSON.parse(content);
+      if (!songData.lyrics) {
+        return;
+      }
+
+      Object.keys(countTerms(songData.lyrics)).forEach(term => {
+        documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+      });
+      documentCount++;
+    } catch (err) {
+      console.warn(`  ✗ Skipping ${file} in corpus statistics: ${err.message}`);
+    }
+  });
+
+  // Sorted keys keep the generated file stable between rebuilds
+  const sortedFrequency = {};
+  Object.keys(documentFrequency).sort().forEach(term => {
+    sortedFrequency[term] = documentFrequency[term];
+  });
+
+  return {
+    generated: new Date().toISOString(),
+    fingerprint: fingerprintFiles(files),
+    documentCount,
+    documentFrequency: sortedFrequency
+  };
+}
+
+/**
+ * Load the saved corpus statistics, or build fresh ones in memory if the
+ * lyrics have changed since they were saved
+ * @param {Object} options - Optional paths
+ * @param {string} options.lyricsDir - Directory of lyrics JSON files
+ * @param {string} options.cacheFile - Where the statistics are saved
+ * @returns {Object} Corpus statistics
+ */
+function loadCorpusStats({ lyricsDir = LYRICS_DIR, cacheFile = CACHE_FILE } = {}) {
+  if (fs.existsSync(cacheFile)) {
+    try {
+      const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      if (cached.fingerprint === fingerprintFiles(readLyricsFiles(lyricsDir))) {
+        return cached;
+      }
+      console.warn('Corpus statistics are out of date; using fresh ones. Run: npm run corpus');
+    } catch (err) {
+      console.warn(`Ignoring unreadable corpus statistics: ${err.message}`);
+    }
+  }
+
+  return buildCorpusStats(lyricsDir);
+}
+
+/**
+ * Rebuild the corpus statistics and save them
+ * @param {Object} options - Optional paths (see loadCorpusStats)
+ * @returns {Object} Corpus statistics
+ */
+function saveCorpusStats({ lyricsDir = LYRICS_DIR, cacheFile = CACHE_FILE } = {}) {
+  const stats = buildCorpusStats(lyricsDir);
+  fs.writeFileSync(cacheFile, JSON.stringify(stats, null, 2), 'utf8');
+  return stats;
+}
+
+export {
+  buildCorpusStats,
+  loadCorpusStats,
+  saveCorpusStats
+};
@@ -0,0 +1,139 @@
+/**
+ * Wrong answers for multiple-choice blanks
+ *
+ * Distractors are drawn from the song itself and the rest of the lyrics
+ * corpus, preferring words that look like the answer: a similar length and
+ * the same rough part of speech (guessed from the ending), and optionally
+ * words that rhyme with it. A word that grading would accept for the answer
+ * (a variant spelling, or close enough to pass as a typo of it) is never
+ * offered, since picking it would earn credit.
+ */
+
+import { wordsRhyme } from './rhyme.js';
+import { foldText } from './textNormalize.js';
+import { classifyAnswer } from './grading.js';
+
+// Number of wrong answers offered alongside the correct one
+const DISTRACTOR_COUNT = 3;
+
+// Endings used as a stand-in for part of speech, checked in order
+const WORD_SHAPES = [
+  ['gerund', /in[g']?$/],
+  ['past', /ed$/],
+  ['adverb', /ly$/],
+  ['possessive', /'s$/],
+  ['contraction', /'/],
+  ['noun', /(tion|sion|ness|ment|ity)$/],
+  ['adjective', /(ful|less|ous|ive|able|ible|al)$/],
+  ['plural', /[^s]s$/]
+];
+
+/**
+ * Guess a word's part of speech from its ending
+ * @param {string} word - The word
+ * @returns {string} Shape name, or 'plain'
+ */
+function getWordShape(word) {
+  const lower = foldText(word);
+  const shape = WORD_SHAPES.find(([, pattern]) => pattern.test(lower));
+  return shape ? shape[0] : 'plain';
+}
+
+/**
+ * Copy the answer's capitalization onto a distractor
+ * @param {string} word - The distractor
+ * @param {string} answer - The correct answer
+ * @returns {string} The distractor, capitalized if the answer is
+ */
+function matchCase(word, answer) {
+  if (answer === answer.toUpperCase() && answer !== answer.toLowerCase()) {
+    return word.toUpperCase();
+  }
+  if (answer[0] === answer[0].toUpperCase()) {
+    return word[0].toUpperCase() + word.slice(1);
+  }
+  return word;
+}
+
+/**
+ * Check whether a candidate is too close to the answer to be fair
+ * (the same word, or one is a form of the other, like "run" and "running")
+ * Accents and apostrophe styles are ignored, so "cafe" is the same as "café".
+ * @param {string} candidate - Lowercase candidate
+ * @param {string} answer - Lowercase answer
+ * @returns {boolean} True if the candidate should be skipped
+ */
+function isSameWord(candidate, answer) {
+  const a = foldText(candidate);
+  const b = foldText(answer);
+  const stem = Math.min(a.length, b.length, 4);
+  return a === b ||
+    a.startsWith(b) ||
+    b.startsWith(a) ||
+    (stem >= 4 && a.slice(0, stem) === b.slice(0, stem) &&
+      Math.abs(a.length - b.length) <= 3);
+}
+
+/**
+ * Pick distractors for an answer
+ * @param {string} answer - The correct word
+ * @param {Object} pool - Candidate words: { song: Array, corpus: Array } of lowercase words
+ * @param {Function} random - Random number generator
+ * @param {Object} options - Options
+ * @param {boolean} options.rhyming - Prefer words that rhyme with the answer
+ * @returns {Array} Distractors, matched to the answer's capitalization
+ */
+function pickDistractors(answer, pool, random, { rhyming = false } = {}) {
+  const target = answer.toLowerCase();
+  const shape = getWordShape(target);
+  const songWords = new Set(pool.song);
+  // One spelling of each word, however its accents and apostrophes were written
+  const spellings = new Map();
+  [...pool.song, ...pool.corpus].forEach(candidate => {
+    if (!spellings.has(foldText(candidate))) {
+      spellings.set(foldText(candidate), candidate);
+    }
+  });
+  const candidates = [...spellings.values()]
+    .filter(candidate => !isSameWord(candidate, target) && classifyAnswer(candidate, answer) === 'wrong');
+
+  const scored = candidates.map(candidate => {
+    const lengthDifference = Math.abs(candidate.length - target.length);
+    let score = 0;
+
+    if (getWordShape(candidate) === shape) score += 3;
+    if (lengthDifference <= 1) score += 2;
+    else if (lengthDifference <= 2) score += 1;
+    if (songWords.has(candidate)) score += 1;
+    if (rhyming && wordsRhyme(candidate, target)) score += 3;
+
+    // The random key breaks ties reproducibly from the quiz seed
+    return { candidate, score, key: random() };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.key - b.key)
+    .slice(0, DISTRACTOR_COUNT)
+    .map(({ candidate }) => matchCase(candidate, answer));
+}
+
+/**
+ * Build the shuffled list of choices for a blank
+ * @param {string} answer - The correct word
+ * @param {Object} pool - Candidate words (see pickDistractors)
+ * @param {Function} random - Random number generator
+ * @param {Object} options - Options passed to pickDistractors
+ * @returns {Array} The answer and its distractors in random order
+ */
+function buildChoices(answer, pool, random, options = {}) {
+  return [answer, ...pickDistractors(answer, pool, random, options)]
+    .map(choice => ({ choice, key: random() }))
+    .sort((a, b) => a.key - b.key)
+    .map(({ choice }) => choice);
+}
+
+export {
+  getWordShape,
+  pickDistractors,
+  buildChoices
+};
@@ -1,107 +1,132 @@
-import https from 'https';
-import zlib from 'zlib';
 import * as cheerio from 'cheerio';
+import { getJSON, getText } from './http-client.js';
+import { rankSearchResults } from './search-ranking.js';
+import { sanitizeLyrics } from './lyrics-sanitizer.js';
+
+const DEFAULT_API_URL = 'https://api.genius.com';
+
+// How many of the best hits have their album looked up when an album is given
+const ALBUM_LOOKUPS = 3;
+
+/**
+ * Base URL of the Genius API
+ * Set GENIUS_API_URL to point the scripts at another server, such as the
+ * local stand-in in scripts/mock-genius-server.js.
+ * @returns {string} Base URL without a trailing slash
+ */
+function getApiUrl() {
+  return (process.env.GENIUS_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Build the headers for a Genius API request
+ * @param {string} accessToken - Genius API access token
+ * @returns {Object} Request headers
+ */
+function apiHeaders(accessToken) {
+  return {
+    'Authorization': `Bearer ${accessToken}`,
+    'User-Agent': 'Lyrics Fetcher and Cleaner'
+  };
+}
+
+/**
+ * Get full details for a song, including its album
+ * @param {number} songId - Genius song id
+ * @param {string} accessToken - Genius API access token
+ * @returns {Promise<Object|null>} The song, or null if it has no details
+ */
+async function getSongDetails(songId, accessToken) {
+  const response = await getJSON(`${getApiUrl()}/songs/${songId}`, {
+    headers: apiHeaders(accessToken)
+  });
+  return response.response?.song || null;
+}
+
+/**
+ * Get the name of the album a song is on
+ * Search hits have no album, so it's looked up unless searchSong already did.
+ * @param {Object} song - Search hit from searchSong
+ * @param {string} accessToken - Genius API access token
+ * @returns {Promise<string|null>} Album name, or null if the song isn't on one or the lookup fails
+ */
+async function getSongAlbum(song, accessToken) {
+  if (song.album) {
+    return song.album.name || null;
+  }
+
+  try {
+    const details = await getSongDetails(song.id, accessToken);
+    return details?.album?.name || null;
+  } catch {
+    return null;
+  }
+}
 
 /**
  * Search for a song using Genius API
+ *
+ * Results are ranked best match first (see search-ranking.js) and each has a
+ * `match` of { confidence, reasons }. When an album is given, the best few
+ * hits are looked up to compare their albums. Responses are cached on disk by
+ * the HTTP client (see http-client.js).
+ *
  * @param {string} artist - The artist name
  * @param {string} songTitle - The song title
  * @param {string} accessToken - Genius API access token
  * @param {string} albumName - Optional album name for better search accuracy
- * @returns {Promise<Array>} Array of song search results
+ * @returns {Promise<Array>} Array of song search results, best match first
  */
-function searchSong(artist, songTitle, accessToken, albumName = '') {
-  return new Promise((resolve, reject) => {
-    const searchQuery = `${songTitle} ${artist}`
-    const query = encodeURIComponent(searchQuery);
-    const options = {
-      hostname: 'api.genius.com',
-      path: `/search?q=${query}`,
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'User-Agent': 'Lyrics Fetcher and Cleaner'
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          if (response.response && response.response.hits) {
-            const songs = response.response.hits.map(hit => hit.result);
-            resolve(songs);
-          } else {
-            resolve([]);
-          }
-        } catch (error) {
-          reject(error);
-        }
-      });
-    });
-    
-    req.on('error', reject);
-    req.end();
+async function searchSong(artist, songTitle, accessToken, albumName = '') {
+  const searchQuery = `${songTitle} ${artist}`
+  const query = encodeURIComponent(searchQuery);
+
+  const response = await getJSON(`${getApiUrl()}/search?q=${query}`, {
+    headers: apiHeaders(accessToken)
   });
+
+  if (!response.response || !response.response.hits) {
+    return [];
+  }
+
+  const request = { artist, title: songTitle, album: albumName };
+  let results = rankSearchResults(response.response.hits.map(hit => hit.result), request);
+
+  if (albumName) {
+    const withAlbums = await Promise.all(results.map(async (song, index) => {
+      if (index >= ALBUM_LOOKUPS) {
+        return song;
+      }
+      try {
+        const details = await getSongDetails(song.id, accessToken);
+        return details?.album ? { ...song, album: details.album } : song;
+      } catch (err) {
+        // Without details the hit is ranked on title and artist alone
+        return song;
+      }
+    }));
+    results = rankSearchResults(withAlbums, request);
+  }
+
+  return results;
 }
 
 /**
- * Fetch HTML content from Genius page with proper decompression
+ * Fetch HTML content from Genius page
+ * Decompression, redirects, retries and caching are handled by the HTTP client.
  * @param {string} url - The URL to fetch
  * @returns {Promise<string>} The HTML content
  */
 function fetchPageHTML(url) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    
-    const options = {
-      hostname: urlObj.hostname,
-      path: urlObj.pathname,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Lyrics Fetcher and Cleaner)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let stream = res;
-      
-      // Handle different compression types
-      const encoding = res.headers['content-encoding'];
-      if (encoding === 'gzip') {
-        stream = res.pipe(zlib.createGunzip());
-      } else if (encoding === 'deflate') {
-        stream = res.pipe(zlib.createInflate());
-      } else if (encoding === 'br') {
-        stream = res.pipe(zlib.createBrotliDecompress());
-      }
-      
-      let data = '';
-      
-      stream.on('data', (chunk) => {
-        data += chunk.toString('utf8');
-      });
-      
-      stream.on('end', () => {
-        resolve(data);
-      });
-      
-      stream.on('error', reject);
-    });
-    
-    req.on('error', reject);
-    req.end();
+  return getText(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; Lyrics Fetcher and Cleaner)',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1'
+    }
   });
 }
 
@@ -162,19 +187,25 @@ function removeNonFormattingTags(html) {
 
 /**
  * Clean HTML content and convert to plain text
+ * See lyrics-sanitizer.js for what cleaning covers.
  * @param {string} html - HTML content to clean
- * @returns {string} Cleaned plain text
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.returnAnnotations - If true, also return the italic/bold runs
+ * @returns {string|Object} Cleaned plain text, or { lyrics, annotations } if returnAnnotations is true
  */
-function cleanLyricsHTML(html) {
-  const cleanedContent = removeNonFormattingTags(html);
-  
-  // Replace <br> tags with actual line breaks and clean up whitespace
-  return cleanedContent
-    .replace(/<br>/g, '\n') // Replace <br> tags with line breaks
-    .trim();
+function cleanLyricsHTML(html, { returnAnnotations = false } = {}) {
+  const cleanedContent = removeNonFormattingTags(html)
+    .replace(/<br\s*\/?>/gi, '\n'); // Replace <br> tags with line breaks
+
+  const { lyrics, annotations } = sanitizeLyrics(cleanedContent);
+
+  return returnAnnotations ? { lyrics, annotations } : lyrics;
 }
 
 export {
+  getApiUrl,
+  getSongDetails,
+  getSongAlbum,
   searchSong,
   fetchPageHTML,
   extractLyricsFromHTML,
@@ -0,0 +1,230 @@
+/**
+ * Grading of typed answers
+ *
+ * Every answer is classified as one of:
+ *   exact   - the same words (case, accents and punctuation aside)
+ *   variant - another accepted way to write them: "gonna" / "going to",
+ *             "'til" / "till" / "until", "runnin'" / "running", "2" / "two",
+ *             "dont" / "don't"
+ *   typo    - a few letters off (see getAllowedTypos)
+ *   wrong   - anything else
+ * and earns the credit set for its class.
+ */
+
+import { splitWords } from './textNormalize.js'
+
+// Credit for each class, 0-1
+export const DEFAULT_CREDIT = {
+  exact: 1,
+  variant: 1,
+  typo: 0.5,
+  wrong: 0
+}
+
+// Informal spellings and contractions, and what they stand for
+const VARIANTS = {
+  gonna: 'going to',
+  wanna: 'want to',
+  gotta: 'got to',
+  hafta: 'have to',
+  gimme: 'give me',
+  lemme: 'let me',
+  kinda: 'kind of',
+  sorta: 'sort of',
+  outta: 'out of',
+  lotta: 'lot of',
+  dunno: "don't know",
+  "'til": 'until',
+  til: 'until',
+  till: 'until',
+  "'cause": 'because',
+  cause: 'because',
+  cuz: 'because',
+  "'cuz": 'because',
+  cos: 'because',
+  coz: 'because',
+  "'bout": 'about',
+  "'round": 'around',
+  "'fore": 'before',
+  "'em": 'them',
+  "'n'": 'and',
+  "n'": 'and',
+  '&': 'and',
+  "o'": 'of',
+  "ol'": 'old',
+  ya: 'you',
+  tho: 'though',
+  thru: 'through',
+  ok: 'okay',
+  "can't": 'can not',
+  cannot: 'can not',
+  "won't": 'will not',
+  "i'm": 'i am',
+  "it's": 'it is',
+  "that's": 'that is',
+  "what's": 'what is',
+  "there's": 'there is',
+  "here's": 'here is',
+  "where's": 'where is',
+  "who's": 'who is',
+  "he's": 'he is',
+  "she's": 'she is',
+  "let's": 'let us'
+}
+
+// Contraction endings that always expand the same way
+const SUFFIXES = [
+  ["n't", ' not'],
+  ["'re", ' are'],
+  ["'ve", ' have'],
+  ["'ll", ' will']
+]
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen']
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety']
+const ORDINALS = {
+  '1st': 'first', '2nd': 'second', '3rd': 'third', '4th': 'fourth', '5th': 'fifth',
+  '6th': 'sixth', '7th': 'seventh', '8th': 'eighth', '9th': 'ninth', '10th': 'tenth'
+}
+
+/**
+ * Spell out a whole number below 1000 ("21" -> "twenty one")
+ */
+function numberToWords(number) {
+  if (number < 20) return ONES[number]
+  if (number < 100) {
+    const tens = TENS[Math.floor(number / 10)]
+    return number % 10 === 0 ? tens : `${tens} ${ONES[number % 10]}`
+  }
+  const hundreds = `${ONES[Math.floor(number / 100)]} hundred`
+  return number % 100 === 0 ? hundreds : `${hundreds} ${numberToWords(number % 100)}`
+}
+
+/**
+ * Split text into words, folded so that case, accents and apostrophe styles
+ * don't matter ("Beyoncé" / "beyonce", "We’ll" / "we'll")
+ */
+export function toWords(text) {
+  return splitWords(text)
+}
+
+/**
+ * Rewrite words into one spelling per meaning, so variants compare equal
+ * @param {Array} words - From toWords
+ * @returns {Array} Words with contractions and informal spellings expanded,
+ *   numbers spelled out, dropped g's restored and apostrophes removed
+ */
+export function canonicalizeWords(words) {
+  return words
+    .flatMap((word) => {
+      if (VARIANTS[word]) return VARIANTS[word].split(' ')
+      if (ORDINALS[word]) return [ORDINALS[word]]
+      if (/^\d{1,3}$/.test(word)) return numberToWords(Number(word)).split(' ')
+
+      const suffix = SUFFIXES.find(([ending]) => word.endsWith(ending) && word.length > ending.length)
+      if (suffix) return `${word.slice(0, -suffix[0].length)}${suffix[1]}`.split(' ')
+
+      return [word]
+    })
+    .flatMap((word) => (VARIANTS[word] ? VARIANTS[word].split(' ') : [word]))
+    .map((word) => word.replace(/in'$/, 'ing').replace(/'/g, ''))
+}
+
+/**
+ * Check whether a word is an -ing word with its g dropped ("runnin", "goin")
+ * The stem before "in" must have a vowel, so one-syllable words like "sin",
+ * "thin" and "win" aren't taken for "sing", "thing" and "wing".
+ */
+function isDroppedG(word) {
+  return /[aeiouy].*in$/.test(word)
+}
+
+/**
+ * Check whether two canonical words match, allowing a dropped final g ("runnin" / "running")
+ */
+function sameWord(a, b) {
+  return a === b || (isDroppedG(a) && `${a}g` === b) || (isDroppedG(b) && `${b}g` === a)
+}
+
+/**
+ * Check whether two lists of words match word for word
+ */
+function sameWords(a, b, compare = (x, y) => x === y) {
+  return a.length === b.length && a.every((word, index) => compare(word, b[index]))
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * neighbouring letters as one edit each
+ */
+export function editDistance(a, b) {
+  const rows = a.length + 1
+  const cols = b.length + 1
+  const distance = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)])
+  for (let j = 0; j < cols; j++) distance[0][j] = j
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      distance[i][j] = Math.min(
+        distance[i - 1][j] + 1,
+        distance[i][j - 1] + 1,
+        distance[i - 1][j - 1] + cost
+      )
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance[i][j] = Math.min(distance[i][j], distance[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return distance[rows - 1][cols - 1]
+}
+
+/**
+ * How many typos an answer may have and still count as a typo rather than wrong
+ * Short words must be exact, or "cat" would accept "cut" and "sing" "sin".
+ */
+export function getAllowedTypos(answer) {
+  const letters = answer.replace(/[^\p{L}\p{N}]/gu, '').length
+  if (letters <= 4) return 0
+  if (letters <= 7) return 1
+  return 2
+}
+
+/**
+ * Classify an answer
+ * @param {string} userAnswer - What was typed
+ * @param {string} correctAnswer - The blank's answer
+ * @returns {string} 'exact', 'variant', 'typo' or 'wrong'
+ */
+export function classifyAnswer(userAnswer, correctAnswer) {
+  const userWords = toWords(userAnswer)
+  const correctWords = toWords(correctAnswer)
+
+  if (userWords.length === 0) return 'wrong'
+  if (sameWords(userWords, correctWords)) return 'exact'
+
+  // Apostrophes are often left out when typing ("dont", "cant")
+  const withoutApostrophes = (words) => words.map((word) => word.replace(/'/g, ''))
+  if (sameWords(withoutApostrophes(userWords), withoutApostrophes(correctWords))) return 'variant'
+
+  const userCanonical = canonicalizeWords(userWords)
+  const correctCanonical = canonicalizeWords(correctWords)
+  if (sameWords(userCanonical, correctCanonical, sameWord)) return 'variant'
+
+  const expected = correctCanonical.join(' ')
+  if (editDistance(userCanonical.join(' '), expected) <= getAllowedTypos(expected)) return 'typo'
+
+  return 'wrong'
+}
+
+/**
+ * Grade one answer
+ * @param {Object} options - { credit } to override DEFAULT_CREDIT
+ * @returns {Object} { match, credit }
+ */
+export function gradeAnswer(userAnswer, correctAnswer, { credit = DEFAULT_CREDIT } = {}) {
+  const match = classifyAnswer(userAnswer || '', correctAnswer || '')
+  return { match, credit: credit[match] }
+}
@@ -0,0 +1,100 @@
+/**
+ * Hints for a blank, each costing part of its credit
+ *
+ * Hints used are recorded per blank as { length, letters, repeat }:
+ *   length  - the letter count was shown
+ *   letters - how many letters have been revealed from the start
+ *   repeat  - the same line from an earlier copy of the section was shown
+ */
+
+import { findSectionForLine } from './quizSections'
+
+// Credit taken off a blank for each hint, 0-1
+export const DEFAULT_HINT_PENALTIES = {
+  length: 0.1,
+  firstLetter: 0.2,
+  nextLetter: 0.1,
+  repeat: 0.25
+}
+
+const LETTER = /[\p{L}\p{N}]/u
+
+/**
+ * Credit lost to the hints used on a blank
+ * @param {Object} blankHints - Hints used on the blank, or undefined
+ * @param {Object} penalties - Overrides for DEFAULT_HINT_PENALTIES
+ * @returns {number} Penalty, 0-1
+ */
+export function getHintPenalty(blankHints, penalties = DEFAULT_HINT_PENALTIES) {
+  if (!blankHints) return 0
+
+  const letters = blankHints.letters || 0
+  const penalty = (blankHints.length ? penalties.length : 0) +
+    (letters > 0 ? penalties.firstLetter + (letters - 1) * penalties.nextLetter : 0) +
+    (blankHints.repeat ? penalties.repeat : 0)
+
+  return Math.min(1, penalty)
+}
+
+/**
+ * Count the hints used on a blank
+ */
+export function countHints(blankHints) {
+  if (!blankHints) return 0
+  return (blankHints.length ? 1 : 0) + (blankHints.letters || 0) + (blankHints.repeat ? 1 : 0)
+}
+
+/**
+ * Describe how long an answer is ("7 letters", "3 words: 4, 2, 5 letters")
+ */
+export function describeLength(answer) {
+  const counts = answer
+    .split(/\s+/)
+    .map((word) => [...word].filter((char) => LETTER.test(char)).length)
+    .filter((count) => count > 0)
+
+  if (counts.length === 1) {
+    return `${counts[0]} letter${counts[0] === 1 ? '' : 's'}`
+  }
+  return `${counts.length} words: ${counts.join(', ')} letters`
+}
+
+/**
+ * How many letters of an answer can be revealed (all but the last)
+ */
+export function getMaxLetters(answer) {
+  return Math.max(0, [...answer].filter((char) => LETTER.test(char)).length - 1)
+}
+
+/**
+ * The start of an answer up to its nth letter, punctuation and spaces included
+ * ("Going to", 3 -> "Goi")
+ */
+export function revealLetters(answer, count) {
+  let seen = 0
+  let end = 0
+  for (const char of answer) {
+    if (seen === count) break
+    if (LETTER.test(char)) seen++
+    end += char.length
+  }
+  return answer.slice(0, end)
+}
+
+/**
+ * Find the same line in the last earlier copy of the blank's section (the
+ * previous chorus, for a blank in a chorus)
+ * @returns {number|null} Line index, or null if the section hasn't been sung before
+ */
+export function getRepeatLine(quiz, blank) {
+  const section = findSectionForLine(quiz.sections, blank.lineIndex)
+  if (!section || section.repeatOf == null) return null
+
+  const earlier = quiz.sections
+    .filter((other) => other.startLine < section.startLine && (other.repeatOf ?? other.id) === section.repeatOf)
+    .at(-1)
+  if (!earlier) return null
+
+  const lineIndex = earlier.startLine + (blank.lineIndex - section.startLine)
+  return lineIndex <= earlier.endLine ? lineIndex : null
+}
@@ -0,0 +1,350 @@
+/**
+ * HTTP client for the Genius API and lyrics pages
+ *
+ * Wraps http/https requests with a timeout, retries with exponential backoff
+ * on 429 and 5xx responses (honoring Retry-After), redirect following, a
+ * minimum interval between requests to the same host, and an on-disk cache of
+ * successful GET responses. Cache entries are stored under a hash of the
+ * request URL (never the Authorization header), so reruns of the CLI scripts
+ * are fast and work offline once a song has been fetched.
+ *
+ * Defaults can be changed with environment variables:
+ * - LYRICSIQ_HTTP_TIMEOUT: request timeout in ms (default 15000)
+ * - LYRICSIQ_HTTP_RETRIES: retries after the first attempt (default 3)
+ * - LYRICSIQ_HTTP_BACKOFF: base backoff delay in ms, doubled per retry (default 500)
+ * - LYRICSIQ_HTTP_INTERVAL: minimum ms between requests to one host (default 250)
+ * - LYRICSIQ_CACHE_DIR: cache directory (default .cache/http in the project root)
+ * - LYRICSIQ_CACHE_TTL: seconds before a cached response is refetched (default 0, never)
+ * - LYRICSIQ_CACHE: set to "off" to bypass the cache, or "refresh" to refetch and rewrite it
+ * - LYRICSIQ_OFFLINE: set to 1 to only answer from the cache
+ */
+
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+/**
+ * Read a numeric setting from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number} The setting
+ */
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Current client settings, read from the environment on each request so
+ * scripts and tests can change them at runtime
+ * @returns {Object} Settings
+ */
+function getSettings() {
+  return {
+    timeout: envNumber('LYRICSIQ_HTTP_TIMEOUT', 15000),
+    retries: envNumber('LYRICSIQ_HTTP_RETRIES', 3),
+    backoff: envNumber('LYRICSIQ_HTTP_BACKOFF', 500),
+    interval: envNumber('LYRICSIQ_HTTP_INTERVAL', 250),
+    cacheDir: process.env.LYRICSIQ_CACHE_DIR || path.resolve(__dirname, '../../.cache/http'),
+    cacheTtl: envNumber('LYRICSIQ_CACHE_TTL', 0),
+    cacheMode: process.env.LYRICSIQ_CACHE || 'on',
+    offline: ['1', 'true'].includes(process.env.LYRICSIQ_OFFLINE)
+  };
+}
+
+// Wait for a number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Earliest time the next request to each host may start
+const nextRequestAt = new Map();
+
+/**
+ * Wait until a request to a host is allowed
+ * @param {string} host - Host name
+ * @param {number} interval - Minimum ms between requests
+ */
+async function waitForHost(host, interval) {
+  const now = Date.now();
+  const startAt = Math.max(now, nextRequestAt.get(host) || 0);
+  nextRequestAt.set(host, startAt + interval);
+  if (startAt > now) {
+    await sleep(startAt - now);
+  }
+}
+
+/**
+ * Path of the cache entry for a URL
+ * @param {string} cacheDir - Cache directory
+ * @param {string} url - Request URL
+ * @returns {string} File path
+ */
+function getCachePath(cacheDir, url) {
+  const key = crypto.createHash('sha256').update(`GET ${url}`).digest('hex');
+  return path.join(cacheDir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Read a cached response
+ * @param {string} cachePath - File path from getCachePath
+ * @returns {Object|null} The cached response, or null if missing or unreadable
+ */
+function readCache(cachePath) {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Write a response to the cache (failures only warn; the cache is optional)
+ * @param {string} cachePath - File path from getCachePath
+ * @param {Object} response - Response to store
+ */
+function writeCache(cachePath, response) {
+  try {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify({
+      url: response.url,
+      status: response.status,
+      contentType: response.headers['content-type'],
+      cachedAt: new Date().toISOString(),
+      body: response.body
+    }), 'utf8');
+  } catch (err) {
+    console.warn(`Warning: Could not write HTTP cache: ${err.message}`);
+  }
+}
+
+/**
+ * Turn a cache entry back into a response
+ * @param {Object} cached - Entry from readCache
+ * @returns {Object} { status, headers, body, url, fromCache }
+ */
+function fromCacheEntry(cached) {
+  return {
+    status: cached.status,
+    headers: { 'content-type': cached.contentType },
+    body: cached.body,
+    url: cached.url,
+    fromCache: true
+  };
+}
+
+/**
+ * Decompress a response body stream if needed
+ * @param {Object} res - Incoming message
+ * @returns {Object} Readable stream of the decoded body
+ */
+function decodeBody(res) {
+  const encoding = res.headers['content-encoding'];
+  if (encoding === 'gzip') {
+    return res.pipe(zlib.createGunzip());
+  } else if (encoding === 'deflate') {
+    return res.pipe(zlib.createInflate());
+  } else if (encoding === 'br') {
+    return res.pipe(zlib.createBrotliDecompress());
+  }
+  return res;
+}
+
+/**
+ * Make one request without retries or redirects
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<Object>} { status, headers, body, url }
+ */
+function sendOnce(url, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const transport = urlObj.protocol === 'http:' ? http : https;
+
+    const req = transport.request(urlObj, { method: 'GET', headers }, (res) => {
+      // Redirects and errors don't need their bodies read in full
+      if (res.statusCode !== 200) {
+        res.resume();
+        resolve({ status: res.statusCode, headers: res.headers, body: '', url });
+        return;
+      }
+
+      const stream = decodeBody(res);
+      const chunks = [];
+
+      stream.on('data', (chunk) => {
+        chunks.push(chunk);
+      });
+
+      stream.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8'),
+          url
+        });
+      });
+
+      stream.on('error', reject);
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Request timed out after ${timeout}ms: ${url}`));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Work out how long to wait before retrying
+ * @param {Object|null} response - The failed response, if there was one
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {number} backoff - Base delay in ms
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(response, attempt, backoff) {
+  const retryAfter = response ? parseInt(response.headers['retry-after']) : NaN;
+  if (retryAfter >= 0) {
+    return retryAfter * 1000;
+  }
+  // Exponential backoff with jitter so parallel runs don't retry in step
+  return backoff * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+}
+
+/**
+ * Fetch a URL, following redirects and retrying transient failures
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {Object} options.headers - Request headers
+ * @param {number} options.timeout - Timeout in ms per attempt
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {boolean} options.cache - Use the on-disk cache (default true)
+ * @returns {Promise<Object>} { status, headers, body, url, fromCache }
+ * @throws {Error} With a status property for non-200 responses
+ */
+async function request(url, options = {}) {
+  const settings = getSettings();
+  const {
+    headers = {},
+    timeout = settings.timeout,
+    retries = settings.retries,
+    cache = settings.cacheMode !== 'off'
+  } = options;
+
+  const cachePath = getCachePath(settings.cacheDir, url);
+  const cached = cache ? readCache(cachePath) : null;
+  const cacheAge = cached ? (Date.now() - new Date(cached.cachedAt).getTime()) / 1000 : Infinity;
+  const isFresh = settings.cacheTtl === 0 || cacheAge < settings.cacheTtl;
+
+  if (cached && (settings.offline || (isFresh && settings.cacheMode !== 'refresh'))) {
+    return fromCacheEntry(cached);
+  }
+
+  if (settings.offline) {
+    throw new Error(`Offline and not cached: ${url}`);
+  }
+
+  let currentUrl = url;
+  let requestHeaders = headers;
+  let redirects = 0;
+  let attempt = 0;
+
+  while (true) {
+    let response = null;
+    let failure = null;
+
+    await waitForHost(new URL(currentUrl).host, settings.interval);
+
+    try {
+      response = await sendOnce(currentUrl, requestHeaders, timeout);
+    } catch (err) {
+      failure = err;
+    }
+
+    if (response && REDIRECT_STATUSES.includes(response.status) && response.headers.location) {
+      if (++redirects > MAX_REDIRECTS) {
+        throw new Error(`Too many redirects: ${url}`);
+      }
+      const nextUrl = new URL(response.headers.location, currentUrl);
+      // Don't send credentials on to another host
+      if (nextUrl.host !== new URL(currentUrl).host) {
+        requestHeaders = Object.fromEntries(
+          Object.entries(requestHeaders).filter(([name]) => name.toLowerCase() !== 'authorization')
+        );
+      }
+      currentUrl = nextUrl.toString();
+      continue;
+    }
+
+    if (response && response.status === 200) {
+      if (cache) {
+        writeCache(cachePath, response);
+      }
+      return { ...response, fromCache: false };
+    }
+
+    const isTransient = !response || response.status === 429 || response.status >= 500;
+    if (isTransient && attempt < retries) {
+      const delay = getRetryDelay(response, attempt, settings.backoff);
+      const reason = response ? `HTTP ${response.status}` : failure.message;
+      console.warn(`  ${reason}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries})...`);
+      await sleep(delay);
+      attempt++;
+      continue;
+    }
+
+    // Out of retries: stale cached data beats no data
+    if (isTransient && cached) {
+      console.warn(`  Using cached response from ${cached.cachedAt} for ${url}`);
+      return fromCacheEntry(cached);
+    }
+
+    if (failure) {
+      throw failure;
+    }
+
+    const error = new Error(`HTTP ${response.status} fetching ${currentUrl}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+/**
+ * Fetch a URL and return its body as text
+ * @param {string} url - Request URL
+ * @param {Object} options - Options for request()
+ * @returns {Promise<string>} Response body
+ */
+async function getText(url, options = {}) {
+  const response = await request(url, options);
+  return response.body;
+}
+
+/**
+ * Fetch a URL and parse its body as JSON
+ * @param {string} url - Request URL
+ * @param {Object} options - Options for request()
+ * @returns {Promise<Object>} Parsed response
+ */
+async function getJSON(url, options = {}) {
+  const response = await request(url, options);
+  return JSON.parse(response.body);
+}
+
+export {
+  request,
+  getText,
+  getJSON
+};
@@ -0,0 +1,140 @@
+/**
+ * Minimal JSON Schema checker for the schemas in /schemas
+ *
+ * Supports the keywords those schemas use: type (including "integer" and
+ * type lists), enum, minimum, minLength, minItems, pattern, required,
+ * properties, additionalProperties: false, items and local $ref
+ * ("#/$defs/name"). Other keywords are ignored.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMAS_DIR = path.resolve(__dirname, '../../schemas');
+
+/**
+ * Load a schema from /schemas
+ * @param {string} name - Schema name, e.g. "quiz" for quiz.schema.json
+ * @returns {Object} The schema
+ */
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}.schema.json`), 'utf8'));
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value's type against a schema type
+ * @param {*} value - The value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has that type ("number" includes integers)
+ */
+function hasType(value, type) {
+  const actual = getType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolve a local $ref
+ * @param {Object} root - The root schema
+ * @param {string} ref - e.g. "#/$defs/blank"
+ * @returns {Object} The referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $refs are supported: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema
+ * @param {Object} root - Root schema for $refs (defaults to schema)
+ * @param {string} at - Path of the value, for error messages
+ * @returns {Array} Error messages like "blanks[3].answer: must be string", empty if valid
+ */
+function validateSchema(value, schema, root = schema, at = '') {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), root, at);
+  }
+
+  const where = at || '(root)';
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      return [`${where}: must be ${types.join(' or ')}, got ${getType(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${where}: must be at least ${schema.minimum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${where}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, root, `${at}[${index}]`));
+      });
+    }
+  }
+
+  if (getType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${where}: missing ${key}`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = at ? `${at}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], root, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: unexpected property`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+export {
+  loadSchema,
+  validateSchema
+};
@@ -0,0 +1,134 @@
+/**
+ * Line-level diff between two versions of a song's lyrics
+ *
+ * Lines are matched by their longest common subsequence, so a corrected
+ * line shows up as one removed and one added line, and every unchanged line
+ * keeps a mapping from its old index to its new one.
+ */
+
+/**
+ * Diff two lists of lines
+ * @param {Array} oldLines - Lines of the old version
+ * @param {Array} newLines - Lines of the new version
+ * @returns {Array} Operations in order: { type: 'equal'|'removed'|'added', oldIndex, newIndex, text }
+ *   (oldIndex is absent for added lines, newIndex for removed ones)
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  // common[i][j] = length of the LCS of oldLines[i..] and newLines[j..]
+  const common = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      common[i][j] = oldLines[i] === newLines[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && oldLines[i] === newLines[j]) {
+      ops.push({ type: 'equal', oldIndex: i, newIndex: j, text: oldLines[i] });
+      i++;
+      j++;
+    } else if (j < cols && (i === rows || common[i][j + 1] >= common[i + 1][j])) {
+      ops.push({ type: 'added', newIndex: j, text: newLines[j] });
+      j++;
+    } else {
+      ops.push({ type: 'removed', oldIndex: i, text: oldLines[i] });
+      i++;
+    }
+  }
+
+  // Show removals before additions within each run of changes
+  const ordered = [];
+  let changes = [];
+  const flush = () => {
+    ordered.push(...changes.filter(op => op.type === 'removed'), ...changes.filter(op => op.type === 'added'));
+    changes = [];
+  };
+  ops.forEach(op => {
+    if (op.type === 'equal') {
+      flush();
+      ordered.push(op);
+    } else {
+      changes.push(op);
+    }
+  });
+  flush();
+
+  return ordered;
+}
+
+/**
+ * Map old line indexes to new ones
+ * @param {Array} ops - Operations from diffLines
+ * @param {number} oldLineCount - Number of old lines
+ * @returns {Array} lineMap[i] is the new index of unchanged old line i, or null if it was removed or changed
+ */
+function getLineMap(ops, oldLineCount) {
+  const lineMap = new Array(oldLineCount).fill(null);
+  ops
+    .filter(op => op.type === 'equal')
+    .forEach(op => {
+      lineMap[op.oldIndex] = op.newIndex;
+    });
+  return lineMap;
+}
+
+/**
+ * Count changed lines
+ * @param {Array} ops - Operations from diffLines
+ * @returns {Object} { added, removed }
+ */
+function countChanges(ops) {
+  return {
+    added: ops.filter(op => op.type === 'added').length,
+    removed: ops.filter(op => op.type === 'removed').length
+  };
+}
+
+/**
+ * Format a diff as text, showing only changes and the lines around them
+ * @param {Array} ops - Operations from diffLines
+ * @param {number} context - Unchanged lines to show around each change
+ * @returns {string} Hunks headed "@@ line N @@", with "-" and "+" marking removed and added lines
+ */
+function formatDiff(ops, context = 2) {
+  const shown = new Set();
+  ops.forEach((op, index) => {
+    if (op.type !== 'equal') {
+      for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) {
+        shown.add(k);
+      }
+    }
+  });
+
+  const output = [];
+  let previous = -2;
+  ops.forEach((op, index) => {
+    if (!shown.has(index)) {
+      return;
+    }
+    if (index !== previous + 1) {
+      const line = (op.oldIndex ?? op.newIndex) + 1;
+      output.push(`@@ line ${line} @@`);
+    }
+    const marker = op.type === 'removed' ? '-' : op.type === 'added' ? '+' : ' ';
+    output.push(`${marker} ${op.text}`);
+    previous = index;
+  });
+
+  return output.join('\n');
+}
+
+export {
+  diffLines,
+  getLineMap,
+  countChanges,
+  formatDiff
+};
@@ -0,0 +1,124 @@
+/**
+ * Parse LRC (synchronized lyrics) files
+ *
+ * An LRC file has ID tags like [ar:Artist] and [ti:Title], and lyric lines
+ * prefixed with one or more [mm:ss.xx] timestamps. Enhanced LRC also marks
+ * individual words with <mm:ss.xx>, which is dropped here; only line times
+ * are kept.
+ */
+
+const TIMESTAMP_PATTERN = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const TAG_PATTERN = /^\[([a-z#]+):(.*)\]$/i;
+const WORD_TIMESTAMP_PATTERN = /<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+/**
+ * Convert a timestamp's parts to seconds
+ * @param {string} minutes - Minutes
+ * @param {string} seconds - Seconds
+ * @param {string} fraction - Hundredths (or thousandths) of a second, if any
+ * @returns {number} Time in seconds
+ */
+function toSeconds(minutes, seconds, fraction) {
+  const fractionSeconds = fraction ? parseInt(fraction) / Math.pow(10, fraction.length) : 0;
+  return parseInt(minutes) * 60 + parseInt(seconds) + fractionSeconds;
+}
+
+/**
+ * Parse an LRC file
+ *
+ * Lines are returned in time order; a line with several timestamps (a
+ * repeated chorus written once) appears once per timestamp. The offset tag is
+ * applied to every time.
+ *
+ * @param {string} text - Contents of the LRC file
+ * @returns {Object} { tags, lines } where lines are { time, text } with time in seconds
+ */
+function parseLrc(text) {
+  const tags = {};
+  const lines = [];
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+
+    const times = [...line.matchAll(TIMESTAMP_PATTERN)];
+    if (times.length === 0) {
+      const tag = line.match(TAG_PATTERN);
+      if (tag) {
+        tags[tag[1].toLowerCase()] = tag[2].trim();
+      }
+      return;
+    }
+
+    const lyric = line
+      .replace(TIMESTAMP_PATTERN, '')
+      .replace(WORD_TIMESTAMP_PATTERN, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    times.forEach(([, minutes, seconds, fraction]) => {
+      lines.push({ time: toSeconds(minutes, seconds, fraction), text: lyric });
+    });
+  });
+
+  // The offset tag is in milliseconds; a positive offset shows lyrics sooner
+  const offset = tags.offset ? parseInt(tags.offset) / 1000 : 0;
+  if (offset) {
+    lines.forEach(line => {
+      line.time = Math.max(0, Math.round((line.time - offset) * 1000) / 1000);
+    });
+  }
+
+  // Sort is stable, so lines sharing a timestamp keep their file order
+  lines.sort((a, b) => a.time - b.time);
+
+  return { tags, lines };
+}
+
+/**
+ * Join parsed LRC lines into lyrics text with a matching list of timestamps
+ *
+ * Runs of empty lines are collapsed to one (keeping the time of the first,
+ * which marks where the previous line ends) and leading or trailing empty
+ * lines are dropped, so timestamps[i] is the time of lyrics.split('\n')[i].
+ *
+ * @param {Array} lines - Lines from parseLrc
+ * @returns {Object} { lyrics, timestamps } with times in seconds
+ */
+function toTimedLyrics(lines) {
+  const kept = [];
+
+  lines.forEach(line => {
+    const previous = kept[kept.length - 1];
+    if (!line.text && (!previous || !previous.text)) {
+      return;
+    }
+    kept.push(line);
+  });
+
+  while (kept.length > 0 && !kept[kept.length - 1].text) {
+    kept.pop();
+  }
+
+  return {
+    lyrics: kept.map(line => line.text).join('\n'),
+    timestamps: kept.map(line => line.time)
+  };
+}
+
+/**
+ * Check whether text looks like an LRC file
+ * @param {string} text - File contents
+ * @returns {boolean} True if any line starts with a timestamp
+ */
+function isLrc(text) {
+  return /^\s*\[\d+:\d{1,2}(?:[.:]\d{1,3})?\]/m.test(text);
+}
+
+export {
+  parseLrc,
+  toTimedLyrics,
+  isLrc
+};
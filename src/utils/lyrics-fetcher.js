@@ -1,4 +1,5 @@
-import { searchSong, fetchPageHTML, extractLyricsFromHTML, cleanLyricsHTML } from './genius.js';
+import { searchSong, getSongAlbum, fetchPageHTML, extractLyricsFromHTML, cleanLyricsHTML } from './genius.js';
+import { DEFAULT_MIN_CONFIDENCE, formatConfidence } from './search-ranking.js';
 
 /**
  * Fetch song lyrics from Genius
@@ -7,12 +8,16 @@ import { searchSong, fetchPageHTML, extractLyricsFromHTML, cleanLyricsHTML } fro
  * @param {string} accessToken - Genius API access token
  * @param {Object} options - Optional configuration
  * @param {string} options.albumName - Optional album name for better search accuracy
+ * @param {number} options.minConfidence - Refuse the best match if its confidence (0-1) is lower
+ *   (DEFAULT_MIN_CONFIDENCE if not given or not a number)
  * @param {boolean} options.returnSongInfo - If true, returns an object with lyrics and song info
- * @returns {Promise<string|Object>} The cleaned lyrics text, or object with lyrics and song info if returnSongInfo is true
- * @throws {Error} If song is not found or if there's an error fetching lyrics
+ * @returns {Promise<string|Object>} The cleaned lyrics text, or object with lyrics, annotations and song info if returnSongInfo is true
+ * @throws {Error} If song is not found, no match is confident enough, or if there's an error fetching lyrics
  */
 async function fetchLyrics(artist, songTitle, accessToken, options = {}) {
   const { albumName = '', returnSongInfo = false } = options;
+  // A threshold that isn't a number would let every match through
+  const minConfidence = Number.isFinite(options.minConfidence) ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
 
   if (!accessToken) {
     throw new Error('Genius API access token is required');
@@ -30,9 +35,17 @@ async function fetchLyrics(artist, songTitle, accessToken, options = {}) {
       throw new Error(`Song "${songTitle}" by ${artist} not found on Genius`);
     }
 
-    // Get the first (best match) result
+    // Results are ranked, so the first is the best match
     const song = searchResults[0];
 
+    if (song.match.confidence < minConfidence) {
+      throw new Error(
+        `No confident match for "${songTitle}" by ${artist}: best was "${song.title}" by ` +
+        `${song.primary_artist.name} (${formatConfidence(song.match.confidence)}, ` +
+        `below ${formatConfidence(minConfidence)})`
+      );
+    }
+
     // Step 2: Fetch the lyrics page HTML
     const htmlContent = await fetchPageHTML(song.url);
 
@@ -40,12 +53,13 @@ async function fetchLyrics(artist, songTitle, accessToken, options = {}) {
     const extracted = extractLyricsFromHTML(htmlContent);
 
     // Step 4: Clean the HTML content to plain text
-    const cleanedLyrics = cleanLyricsHTML(extracted.rawHTML);
+    const { lyrics: cleanedLyrics, annotations } = cleanLyricsHTML(extracted.rawHTML, { returnAnnotations: true });
 
     // Return based on returnSongInfo option
     if (returnSongInfo) {
       return {
         lyrics: cleanedLyrics,
+        annotations,
         songInfo: {
           id: song.id,
           title: song.title,
@@ -53,7 +67,9 @@ async function fetchLyrics(artist, songTitle, accessToken, options = {}) {
           url: song.url,
           thumbnailUrl: song.song_art_image_thumbnail_url,
           imageUrl: song.song_art_image_url,
-          releaseDate: song.release_date_for_display
+          releaseDate: song.release_date_for_display,
+          album: await getSongAlbum(song, accessToken),
+          confidence: song.match.confidence
         },
         containerCount: extracted.containerCount
       };
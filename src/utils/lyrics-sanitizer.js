@@ -0,0 +1,237 @@
+/**
+ * Turn lyrics text that still carries Genius markup into clean plain text
+ *
+ * - HTML entities are decoded (&amp; -> &)
+ * - Formatting tags are removed; italic and bold runs are kept as annotations
+ *   ({ lineIndex, start, end, style }) so the formatting isn't lost
+ * - Curly quotes, ellipses and unusual spaces become plain ASCII, so words
+ *   like don’t tokenize the same as don't
+ * - Whitespace is trimmed and runs of blank lines collapsed to one
+ * - Genius page cruft ("You might also like", "[Click here to read ...]",
+ *   contributor counts, the trailing "Embed") is removed
+ */
+
+// Formatting tags that become annotations; any other tag is dropped
+const TAG_STYLES = {
+  i: 'italic',
+  em: 'italic',
+  b: 'bold',
+  strong: 'bold'
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '\u2026',
+  mdash: '\u2014',
+  ndash: '\u2013',
+  lsquo: '\u2018',
+  rsquo: '\u2019',
+  ldquo: '\u201c',
+  rdquo: '\u201d'
+};
+
+// Unicode punctuation and spacing, mapped to what the quiz tokenizer expects
+const PUNCTUATION = [
+  [/[\u2018\u2019\u201a\u201b\u2032\u02bc]/g, "'"],
+  [/[\u201c\u201d\u201e\u201f\u2033]/g, '"'],
+  [/\u2026/g, '...'],
+  [/[\u2013\u2015]/g, '\u2014'],
+  [/[\t\u00a0\u2000-\u200a\u202f\u205f\u3000]/g, ' '],
+  [/[\u200b-\u200d\u2060\ufeff]/g, '']
+];
+
+// Whole lines that come from the Genius page rather than the song
+const CRUFT_LINES = [
+  /^\[?click here to (read|learn|see)\b.*\]?$/i,
+  /^you might also like$/i,
+  /^\d+ contributors?\b/i,
+  /^see .+ live$/i,
+  /^get tickets as low as \$\d+/i,
+  /^read more$/i,
+  /^\d*embed$/i
+];
+
+// Trailing "Embed" Genius appends to the last line, sometimes with a count
+const EMBED_SUFFIX = /\d*Embed$/;
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Replace Unicode punctuation and spaces with their plain forms
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizePunctuation(text) {
+  return PUNCTUATION.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text.normalize('NFC'));
+}
+
+/**
+ * Check whether a cleaned line is Genius page cruft
+ * @param {string} line - Trimmed line
+ * @returns {boolean} True if the line should be removed
+ */
+function isCruftLine(line) {
+  return CRUFT_LINES.some(pattern => pattern.test(line));
+}
+
+/**
+ * Clean one line, tracking which characters were inside formatting tags
+ * @param {string} line - Raw line with tags and entities
+ * @param {Object} openStyles - Style -> depth, carried over between lines
+ * @returns {Object} { text, styles } with one style list per character of text
+ */
+function cleanLine(line, openStyles) {
+  const chars = [];
+
+  line.split(/(<\/?[a-zA-Z][^>]*>)/).forEach(part => {
+    const tag = part.match(/^<(\/?)([a-zA-Z][a-zA-Z0-9]*)/);
+    if (tag) {
+      const style = TAG_STYLES[tag[2].toLowerCase()];
+      if (style) {
+        openStyles[style] = Math.max(0, (openStyles[style] || 0) + (tag[1] ? -1 : 1));
+      }
+      return;
+    }
+
+    const styles = Object.keys(openStyles).filter(style => openStyles[style] > 0);
+    for (const char of normalizePunctuation(decodeEntities(part))) {
+      chars.push({ char, styles });
+    }
+  });
+
+  // Collapse runs of spaces and trim, dropping characters along with their styles
+  const kept = chars.filter((entry, index) =>
+    entry.char !== ' ' || (index > 0 && chars[index - 1].char !== ' ')
+  );
+  while (kept.length > 0 && kept[0].char === ' ') kept.shift();
+  while (kept.length > 0 && kept[kept.length - 1].char === ' ') kept.pop();
+
+  return {
+    text: kept.map(entry => entry.char).join(''),
+    styles: kept.map(entry => entry.styles)
+  };
+}
+
+/**
+ * Turn per-character styles into annotation ranges
+ * @param {number} lineIndex - Line the styles belong to
+ * @param {Array} styles - Style list for each character
+ * @returns {Array} Annotations: { lineIndex, start, end, style } (end is exclusive)
+ */
+function getAnnotations(lineIndex, styles) {
+  const annotations = [];
+
+  Object.values(TAG_STYLES)
+    .filter((style, index, all) => all.indexOf(style) === index)
+    .forEach(style => {
+      let start = null;
+      for (let i = 0; i <= styles.length; i++) {
+        const isStyled = i < styles.length && styles[i].includes(style);
+        if (isStyled && start === null) {
+          start = i;
+        } else if (!isStyled && start !== null) {
+          annotations.push({ lineIndex, start, end: i, style });
+          start = null;
+        }
+      }
+    });
+
+  return annotations.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Sanitize lyrics text
+ *
+ * Accepts text with <br> already turned into line breaks (other tags may
+ * remain) or previously saved lyrics that still contain markup.
+ *
+ * @param {string} text - Lyrics text
+ * @returns {Object} { lyrics, annotations, lineMap } where lineMap[i] is the new
+ *   index of input line i, or null if the line was removed
+ */
+function sanitizeLyrics(text) {
+  const inputLines = text.replace(/\r\n?/g, '\n').split('\n');
+  const lines = [];
+  const annotations = [];
+  const lineMap = [];
+  const openStyles = {};
+  const lastContentIndex = inputLines.findLastIndex(line => line.trim());
+
+  inputLines.forEach((rawLine, inputIndex) => {
+    let { text: line, styles } = cleanLine(rawLine, openStyles);
+
+    // Genius glues "Embed" onto the end of the last line
+    if (inputIndex === lastContentIndex && EMBED_SUFFIX.test(line) && !isCruftLine(line)) {
+      const trimmed = line.replace(EMBED_SUFFIX, '').trimEnd();
+      styles = styles.slice(0, trimmed.length);
+      line = trimmed;
+    }
+
+    const previousIsBlank = lines.length === 0 || lines[lines.length - 1] === '';
+    if (isCruftLine(line) || (!line && previousIsBlank)) {
+      lineMap.push(null);
+      return;
+    }
+
+    lineMap.push(lines.length);
+    annotations.push(...getAnnotations(lines.length, styles));
+    lines.push(line);
+  });
+
+  // Drop trailing blank lines
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    const removed = lines.length - 1;
+    lines.pop();
+    lineMap.forEach((mapped, index) => {
+      if (mapped === removed) lineMap[index] = null;
+    });
+  }
+
+  return {
+    lyrics: lines.join('\n'),
+    annotations,
+    lineMap
+  };
+}
+
+/**
+ * Sanitize a single piece of text such as a blank's answer
+ * Answers cut from marked-up lines can start or end partway through a tag
+ * ("to stop</b"), so those fragments are dropped too.
+ * @param {string} text - Text that may contain markup
+ * @returns {string} Clean text on one line
+ */
+function sanitizeText(text) {
+  const unbroken = text
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/^\/?[a-zA-Z][a-zA-Z0-9]*>/, '')
+    .replace(/<\/?[a-zA-Z]*$/, '');
+
+  return cleanLine(unbroken, {}).text;
+}
+
+export {
+  decodeEntities,
+  normalizePunctuation,
+  isCruftLine,
+  sanitizeLyrics,
+  sanitizeText
+};
@@ -0,0 +1,647 @@
+/**
+ * Quiz generation shared by scripts/generate-quiz.js and scripts/create-quiz.js
+ *
+ * Every choice made while building a quiz goes through a seeded PRNG, so a
+ * quiz can be rebuilt exactly from its lyrics file and the seed recorded in
+ * its metadata.
+ */
+
+import { findRhymePairs } from './rhyme.js';
+import { isSectionHeader, parseSections, getExcludedLines } from './sections.js';
+import { findRepeatedLines, findInRepeat } from './repeats.js';
+import { buildChoices } from './distractors.js';
+import { foldText, tokenize } from './textNormalize.js';
+
+// Words too common to be worth blanking
+const COMMON_WORDS = ['the', 'and', 'but', 'for', 'with', 'from', 'that', 'this', 'have', 'has', 'was', 'were'];
+
+// Share of candidate words blanked at each difficulty
+const DIFFICULTY_RATIOS = {
+  easy: 0.10,
+  medium: 0.20,
+  hard: 0.35
+};
+
+/**
+ * Create a fresh seed for runs that don't specify one
+ * @returns {number} A random 32-bit unsigned integer
+ */
+function createSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Parse a --seed command line value, keeping integers as numbers
+ * @param {string} value - The raw option value
+ * @returns {number|string} The seed
+ */
+function parseSeed(value) {
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Reduce a seed to a 32-bit integer (strings are hashed with FNV-1a)
+ * @param {number|string} seed - The seed
+ * @returns {number} 32-bit unsigned integer
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number') {
+    return seed >>> 0;
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * @param {number|string} seed - The seed
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Check whether a lyrics line holds sung words (not blank or a section marker)
+ * @param {string} line - A line of lyrics
+ * @returns {boolean} True if the line can contain blanks
+ */
+function isLyricLine(line) {
+  return Boolean(line.trim()) && !isSectionHeader(line);
+}
+
+/**
+ * Split a line into words (including hyphenated and accented words, and
+ * contractions with any style of apostrophe)
+ * @param {string} line - A line of lyrics
+ * @returns {Array} Words with their character position in the line
+ */
+function tokenizeLine(line) {
+  return tokenize(line);
+}
+
+/**
+ * Check whether a word is worth blanking on its own
+ * @param {string} word - The word
+ * @returns {boolean} False for very short or very common words
+ */
+function isBlankableWord(word) {
+  // Skip very short words (a, I, is, etc.) - they're too easy
+  // and common words (optional - makes quiz harder)
+  return word.length > 2 && !COMMON_WORDS.includes(foldText(word));
+}
+
+/**
+ * Extract words from lyrics that can be blanked
+ * @param {string} lyrics - The lyrics text
+ * @returns {Array} Candidate words with their line index and position
+ */
+function extractWords(lyrics) {
+  const words = [];
+  const lines = lyrics.split('\n');
+
+  lines.forEach((line, lineIndex) => {
+    if (!isLyricLine(line)) {
+      return;
+    }
+
+    const tokens = tokenizeLine(line);
+    tokens.forEach(({ word, position }, tokenIndex) => {
+      if (!isBlankableWord(word)) {
+        return;
+      }
+
+      words.push({
+        type: 'word',
+        word,
+        lineIndex,
+        position,
+        length: word.length,
+        isLineEnd: tokenIndex === tokens.length - 1
+      });
+    });
+  });
+
+  return words;
+}
+
+/**
+ * Pick whole lines to blank
+ * @param {string} lyrics - The lyrics text
+ * @param {number} count - Number of lines to blank
+ * @param {Function} random - Random number generator
+ * @param {Set} excludedLines - Line indexes that can't be blanked
+ * @returns {Array} Line blanks (the line's text without surrounding whitespace)
+ */
+function selectLineBlanks(lyrics, count, random, excludedLines = new Set()) {
+  if (count <= 0) return [];
+
+  const candidates = [];
+  lyrics.split('\n').forEach((line, lineIndex) => {
+    // A one-word line is just a word blank
+    if (!isLyricLine(line) || excludedLines.has(lineIndex) || tokenizeLine(line).length < 2) {
+      return;
+    }
+
+    const text = line.trim();
+    candidates.push({
+      type: 'line',
+      word: text,
+      lineIndex,
+      position: line.indexOf(text),
+      length: text.length
+    });
+  });
+
+  return shuffle(candidates, random).slice(0, count);
+}
+
+/**
+ * Pick runs of consecutive words to blank, at most one per line
+ * @param {string} lyrics - The lyrics text
+ * @param {number} count - Number of phrases to blank
+ * @param {number} phraseLength - Words per phrase
+ * @param {Function} random - Random number generator
+ * @param {Set} excludedLines - Line indexes that are already blanked or can't be blanked
+ * @returns {Array} Phrase blanks
+ */
+function selectPhraseBlanks(lyrics, count, phraseLength, random, excludedLines = new Set()) {
+  if (count <= 0) return [];
+
+  const lineCandidates = [];
+  lyrics.split('\n').forEach((line, lineIndex) => {
+    if (!isLyricLine(line) || excludedLines.has(lineIndex)) {
+      return;
+    }
+
+    const tokens = tokenizeLine(line);
+    const phrases = [];
+    for (let start = 0; start + phraseLength <= tokens.length; start++) {
+      const phraseTokens = tokens.slice(start, start + phraseLength);
+
+      // Don't ask for a phrase made only of filler words
+      if (!phraseTokens.some(token => isBlankableWord(token.word))) {
+        continue;
+      }
+
+      const first = phraseTokens[0];
+      const last = phraseTokens[phraseTokens.length - 1];
+      const text = line.substring(first.position, last.position + last.word.length);
+      phrases.push({
+        type: 'phrase',
+        word: text,
+        lineIndex,
+        position: first.position,
+        length: text.length
+      });
+    }
+
+    if (phrases.length > 0) {
+      lineCandidates.push(phrases);
+    }
+  });
+
+  return shuffle(lineCandidates, random)
+    .slice(0, count)
+    .map(phrases => phrases[Math.floor(random() * phrases.length)]);
+}
+
+/**
+ * Check whether a word falls inside an already selected phrase or line blank
+ * @param {Object} word - Candidate word
+ * @param {Array} blanks - Selected multi-word blanks
+ * @returns {boolean} True if the word overlaps one of the blanks
+ */
+function isCovered(word, blanks) {
+  return blanks.some(blank =>
+    blank.lineIndex === word.lineIndex &&
+    word.position < blank.position + blank.length &&
+    blank.position < word.position + word.length
+  );
+}
+
+/**
+ * Sort comparator putting blanks in the order they appear in the lyrics
+ */
+function compareLyricOrder(a, b) {
+  if (a.lineIndex !== b.lineIndex) return a.lineIndex - b.lineIndex;
+  return a.position - b.position;
+}
+
+/**
+ * Work out how many blanks to create
+ * @param {number} wordCount - Number of candidate words
+ * @param {string} difficulty - easy, medium or hard
+ * @param {number|null} blankCount - Explicit count overriding the difficulty preset
+ * @returns {number} Number of blanks
+ */
+function getBlankCount(wordCount, difficulty, blankCount = null) {
+  const count = blankCount || Math.max(5, Math.floor(wordCount * (DIFFICULTY_RATIOS[difficulty] || 0.20)));
+  return Math.min(count, wordCount);
+}
+
+/**
+ * Score how characteristic each word is of this song compared to the corpus (TF-IDF)
+ * @param {Array} words - Candidate words from extractWords
+ * @param {Object} corpusStats - Statistics from loadCorpusStats
+ * @returns {Object} Folded word (see foldText) -> score
+ */
+function scoreDistinctiveness(words, corpusStats) {
+  const counts = {};
+  words.forEach(w => {
+    const term = foldText(w.word);
+    counts[term] = (counts[term] || 0) + 1;
+  });
+
+  const scores = {};
+  Object.entries(counts).forEach(([term, count]) => {
+    // Smoothed so words missing from the corpus (a new song) still get a finite weight
+    const documentFrequency = corpusStats.documentFrequency[term] || 0;
+    const idf = Math.log((corpusStats.documentCount + 1) / (documentFrequency + 1)) + 1;
+    scores[term] = (1 + Math.log(count)) * idf;
+  });
+
+  return scores;
+}
+
+/**
+ * Select words to blank based on strategy
+ *
+ * Candidates are shuffled with the seeded generator first, so the stable sorts
+ * below break ties in a reproducible order.
+ *
+ * @param {Array} words - Candidate words from extractWords
+ * @param {number} count - Number of words to select
+ * @param {string} strategy - random, important, frequent, rhyme or distinctive
+ * @param {Function} random - Random number generator
+ * @param {Object} corpusStats - Statistics from loadCorpusStats (distinctive strategy only)
+ * @returns {Array} Selected words in lyric order
+ */
+function selectBlanks(words, count, strategy, random, corpusStats = null) {
+  if (words.length === 0) return [];
+
+  const shuffled = shuffle(words, random);
+  let selectedWords;
+
+  switch (strategy) {
+    case 'important':
+      // Prefer longer words (likely more meaningful)
+      selectedWords = shuffled.sort((a, b) => b.length - a.length).slice(0, count);
+      break;
+
+    case 'frequent':
+      // Track word frequency and blank common ones
+      const frequency = {};
+      words.forEach(w => {
+        const term = foldText(w.word);
+        frequency[term] = (frequency[term] || 0) + 1;
+      });
+      selectedWords = shuffled
+        .sort((a, b) => frequency[foldText(b.word)] - frequency[foldText(a.word)])
+        .slice(0, count);
+      break;
+
+    case 'distinctive': {
+      if (!corpusStats) {
+        throw new Error('The distinctive strategy needs corpus statistics');
+      }
+
+      // Highest TF-IDF first, but each word once before any word repeats
+      const scores = scoreDistinctiveness(words, corpusStats);
+      const occurrence = new Map();
+      selectedWords = shuffled
+        .sort((a, b) => scores[foldText(b.word)] - scores[foldText(a.word)])
+        .map(word => {
+          const term = foldText(word.word);
+          occurrence.set(term, (occurrence.get(term) || 0) + 1);
+          return { word, rank: occurrence.get(term) };
+        })
+        .sort((a, b) => a.rank - b.rank)
+        .map(({ word }) => word)
+        .slice(0, count);
+      break;
+    }
+
+    case 'rhyme': {
+      // Take whole pairs of rhyming line endings first, then fill up at random
+      const chosen = new Set();
+      shuffle(findRhymePairs(words), random).forEach(([first, second]) => {
+        const added = [first, second].filter(word => !chosen.has(word));
+        if (chosen.size + added.length <= count) {
+          added.forEach(word => chosen.add(word));
+        }
+      });
+      selectedWords = [...chosen, ...shuffled.filter(word => !chosen.has(word))].slice(0, count);
+      break;
+    }
+
+    case 'random':
+    default:
+      selectedWords = shuffled.slice(0, count);
+      break;
+  }
+
+  // Sort by line order for easier processing
+  return selectedWords.sort(compareLyricOrder);
+}
+
+/**
+ * Copy blanks onto the lines that repeat the line they were taken from
+ * @param {string} lyrics - The lyrics text
+ * @param {Array} blanks - Selected blanks, none of them on a repeated line
+ * @param {Map} repeatedLines - Repeat line index -> original line index
+ * @returns {Array} The blanks, each with a repeats array of { lineIndex, position }
+ */
+function addRepeatOccurrences(lyrics, blanks, repeatedLines) {
+  const lines = lyrics.split('\n');
+  const usedSpans = {};
+
+  return blanks.map(blank => {
+    const repeats = [];
+
+    repeatedLines.forEach((originalIndex, lineIndex) => {
+      if (originalIndex !== blank.lineIndex) {
+        return;
+      }
+
+      const position = findInRepeat(blank, lines[blank.lineIndex], lines[lineIndex]);
+      if (position === -1) {
+        return;
+      }
+
+      // Two blanks can't claim the same words in a copy
+      const spans = usedSpans[lineIndex] || (usedSpans[lineIndex] = []);
+      const overlaps = spans.some(span => position < span.end && span.start < position + blank.length);
+      if (overlaps) {
+        return;
+      }
+
+      spans.push({ start: position, end: position + blank.length });
+      repeats.push({ lineIndex, position });
+    });
+
+    return { ...blank, repeats };
+  });
+}
+
+/**
+ * Generate quiz lyrics with blanks
+ * @param {string} lyrics - The lyrics text
+ * @param {Array} blanks - Selected blanks (words, phrases and lines) in lyric order
+ * @returns {string} Lyrics with _____N_____ placeholders (repeated copies share the same N)
+ */
+function generateQuizLyrics(lyrics, blanks) {
+  const lines = lyrics.split('\n');
+  const blanksMap = {};
+
+  // Group blanks (and their copies on repeated lines) by line
+  blanks.forEach((blank, index) => {
+    const occurrences = [blank, ...(blank.repeats || [])];
+    occurrences.forEach(({ lineIndex, position }) => {
+      if (!blanksMap[lineIndex]) {
+        blanksMap[lineIndex] = [];
+      }
+      blanksMap[lineIndex].push({ position, length: blank.length, blankId: index });
+    });
+  });
+
+  const quizLines = lines.map((line, lineIndex) => {
+    if (!blanksMap[lineIndex]) {
+      return line;
+    }
+
+    // Sort blanks by position (descending) so we can replace from end to start
+    const lineBlanks = blanksMap[lineIndex].sort((a, b) => b.position - a.position);
+
+    let modifiedLine = line;
+    lineBlanks.forEach((blank) => {
+      const before = modifiedLine.substring(0, blank.position);
+      const after = modifiedLine.substring(blank.position + blank.length);
+      modifiedLine = before + `_____${blank.blankId}_____` + after;
+    });
+
+    return modifiedLine;
+  });
+
+  return quizLines.join('\n');
+}
+
+/**
+ * Gather the words multiple-choice distractors are drawn from
+ * @param {Array} songWords - Candidate words from extractWords for this song
+ * @param {Object|null} corpusStats - Statistics from loadCorpusStats
+ * @returns {Object} { song, corpus } arrays of lowercase words
+ */
+function getDistractorPool(songWords, corpusStats) {
+  const corpusWords = corpusStats ? Object.keys(corpusStats.documentFrequency) : [];
+
+  return {
+    song: songWords.map(w => w.word.toLowerCase()),
+    corpus: corpusWords.filter(word => /^\p{L}[\p{L}'-]*$/u.test(word) && isBlankableWord(word))
+  };
+}
+
+/**
+ * Build a quiz from a lyrics file's data
+ * @param {Object} songData - Parsed lyrics JSON (id, title, artist, lyrics, ...)
+ * @param {Object} options - Generation options
+ * @param {string} options.difficulty - easy, medium or hard
+ * @param {number|null} options.blankCount - Explicit blank count
+ * @param {string} options.strategy - Blank selection strategy
+ * @param {number} options.phraseCount - Number of multi-word phrase blanks
+ * @param {number} options.phraseLength - Words per phrase blank
+ * @param {number} options.lineCount - Number of whole-line blanks
+ * @param {Array} options.sections - Section types to quiz, e.g. ['chorus', 'bridge'] (all when empty)
+ * @param {boolean} options.excludeRepeats - Skip sections that repeat an earlier one
+ * @param {string} options.repeats - How to treat repeated lines: 'off' (blank each copy
+ *   independently), 'same' (one blank shared by every copy) or 'first' (quiz the first
+ *   copy, later copies show the answer as it's typed)
+ * @param {boolean} options.choices - Give word blanks multiple-choice options
+ * @param {boolean} options.rhymingDistractors - Prefer distractors that rhyme with the answer
+ * @param {Object} options.corpusStats - Corpus statistics (needed by the distinctive
+ *   strategy, and widens the pool of multiple-choice distractors)
+ * @param {string} options.corpusFingerprint - Fingerprint the corpus statistics must have,
+ *   when rebuilding a quiz that recorded one (throws if they don't match)
+ * @param {number|string} options.seed - PRNG seed (a new one is created if omitted)
+ * @param {string} options.originalFile - Path of the lyrics file, recorded in metadata
+ * @returns {Object} { quiz, candidateCount }
+ */
+function buildQuiz(songData, options = {}) {
+  const {
+    difficulty = 'medium',
+    blankCount = null,
+    strategy = 'random',
+    phraseCount = 0,
+    phraseLength = 3,
+    lineCount = 0,
+    sections: sectionTypes = [],
+    excludeRepeats = false,
+    repeats: repeatMode = 'off',
+    choices = true,
+    rhymingDistractors = false,
+    corpusStats = null,
+    corpusFingerprint = null,
+    seed = createSeed(),
+    originalFile
+  } = options;
+
+  // Distractors and distinctive blanks come from the corpus, so the same seed
+  // gives a different quiz once any lyrics file has been added or changed
+  if (corpusFingerprint && corpusStats && corpusStats.fingerprint !== corpusFingerprint) {
+    throw new Error(
+      `The lyrics corpus has changed since the quiz was built (fingerprint ${corpusStats.fingerprint}, ` +
+      `expected ${corpusFingerprint}), so it can't be rebuilt exactly`
+    );
+  }
+
+  const random = createRandom(seed);
+  const sections = parseSections(songData.lyrics);
+  const excludedLines = getExcludedLines(sections, { include: sectionTypes, excludeRepeats });
+
+  // Repeated lines aren't candidates themselves; they get copies of the original's blanks
+  const repeatedLines = repeatMode === 'off'
+    ? new Map()
+    : findRepeatedLines(songData.lyrics.split('\n'), isLyricLine);
+  repeatedLines.forEach((originalIndex, lineIndex) => excludedLines.add(lineIndex));
+
+  // Lines and phrases are chosen first; single words fill in around them
+  const lineBlanks = selectLineBlanks(songData.lyrics, lineCount, random, excludedLines);
+  const phraseBlanks = selectPhraseBlanks(
+    songData.lyrics,
+    phraseCount,
+    phraseLength,
+    random,
+    new Set([...excludedLines, ...lineBlanks.map(blank => blank.lineIndex)])
+  );
+  const multiWordBlanks = [...lineBlanks, ...phraseBlanks];
+
+  const allWords = extractWords(songData.lyrics).filter(word => !excludedLines.has(word.lineIndex));
+  const count = getBlankCount(allWords.length, difficulty, blankCount);
+  const availableWords = allWords.filter(word => !isCovered(word, multiWordBlanks));
+  const wordBlanks = selectBlanks(availableWords, count, strategy, random, corpusStats);
+
+  const selectedBlanks = addRepeatOccurrences(
+    songData.lyrics,
+    [...wordBlanks, ...multiWordBlanks].sort(compareLyricOrder),
+    repeatedLines
+  );
+
+  // Multiple-choice options are drawn last so they never change which words get blanked
+  const distractorPool = getDistractorPool(allWords, corpusStats);
+  const blankChoices = selectedBlanks.map(blank =>
+    choices && blank.type === 'word'
+      ? buildChoices(blank.word, distractorPool, random, { rhyming: rhymingDistractors })
+      : undefined
+  );
+
+  // Record which rhymes ended up blanked on both lines
+  const rhymePairs = strategy === 'rhyme'
+    ? findRhymePairs(wordBlanks).map(pair => ({
+      blankIds: pair.map(word => selectedBlanks.findIndex(blank =>
+        blank.lineIndex === word.lineIndex && blank.position === word.position
+      )),
+      words: pair.map(word => word.word),
+      lineIndexes: pair.map(word => word.lineIndex)
+    }))
+    : undefined;
+
+  const quiz = {
+    id: songData.id,
+    title: songData.title,
+    artist: songData.artist,
+    difficulty,
+    lyrics: generateQuizLyrics(songData.lyrics, selectedBlanks),
+    blanks: selectedBlanks.map((blank, index) => ({
+      id: index,
+      type: blank.type,
+      answer: blank.word,
+      lineIndex: blank.lineIndex,
+      position: blank.position,
+      repeats: blank.repeats.length > 0 ? blank.repeats : undefined,
+      choices: blankChoices[index]
+    })),
+    sections,
+    repeatMode: repeatMode === 'off' ? undefined : repeatMode,
+    // Per-line times from an LRC import; quiz lines match the lyrics line for line
+    timestamps: songData.timestamps,
+    // Everything needed to rebuild the quiz exactly, and nothing that changes
+    // between runs (like a timestamp), so a rebuild gives an identical file
+    metadata: {
+      originalFile,
+      strategy,
+      seed,
+      blankCount,
+      phraseCount,
+      phraseLength,
+      lineCount,
+      totalBlanks: selectedBlanks.length,
+      blankTypes: {
+        word: wordBlanks.length,
+        phrase: phraseBlanks.length,
+        line: lineBlanks.length
+      },
+      rhymePairs,
+      choices: choices || undefined,
+      rhymingDistractors: rhymingDistractors || undefined,
+      corpusFingerprint: corpusStats ? corpusStats.fingerprint : undefined,
+      sectionTypes: sectionTypes.length > 0 ? sectionTypes : undefined,
+      excludeRepeats: excludeRepeats || undefined,
+      imageUrl: songData.imageUrl,
+      thumbnailUrl: songData.thumbnailUrl,
+      url: songData.url,
+      releaseDate: songData.releaseDate,
+      album: songData.album
+    }
+  };
+
+  return {
+    quiz,
+    candidateCount: allWords.length
+  };
+}
+
+export {
+  createSeed,
+  parseSeed,
+  createRandom,
+  shuffle,
+  isLyricLine,
+  tokenizeLine,
+  extractWords,
+  selectLineBlanks,
+  selectPhraseBlanks,
+  getBlankCount,
+  scoreDistinctiveness,
+  selectBlanks,
+  addRepeatOccurrences,
+  generateQuizLyrics,
+  buildQuiz
+};
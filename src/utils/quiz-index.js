@@ -0,0 +1,169 @@
+/**
+ * The quiz index: the list of quizzes the app loads, in src/data/quizzes/index.json
+ *
+ * Quizzes that fail validation (see quiz-validator.js) are left out, so the
+ * app never loads a quiz whose blanks don't line up. Used by
+ * scripts/generate-quiz-index.js and the Vite data plugin, which rebuilds the
+ * index whenever a quiz or lyrics file changes.
+ *
+ * The song list is drawn from the index alone (see quizCatalog.js), so each
+ * entry carries everything a song card shows.
+ *
+ * The index is tracked in git, so it is only rewritten when its list of
+ * quizzes changes; rebuilding an unchanged index keeps its "generated" time.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateQuiz, findSourceLyrics } from './quiz-validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const QUIZZES_DIR = path.resolve(__dirname, '../data/quizzes');
+const OUTPUT_FILE = path.resolve(QUIZZES_DIR, 'index.json');
+const LYRICS_DIR = path.resolve(__dirname, '../data/lyrics');
+
+/**
+ * Read the lyrics files quizzes are checked against
+ * Files that don't parse are skipped; validate-data.js reports them.
+ * @returns {Array} { file, data } for each lyrics file
+ */
+function readLyricsFiles() {
+  if (!fs.existsSync(LYRICS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(LYRICS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .flatMap(file => {
+      try {
+        return [{ file, data: JSON.parse(fs.readFileSync(path.join(LYRICS_DIR, file), 'utf8')) }];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Read the index currently on disk
+ * @returns {Object|null} The index, or null if it is missing or doesn't parse
+ */
+function readCurrentIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Generate the quiz index and write it to src/data/quizzes/index.json
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.quiet - Don't log progress (skipped quizzes are still reported)
+ * @returns {Promise<Object>} { index, skipped, changed } where skipped lists invalid
+ *   quiz files and changed is false if the index on disk was already up to date
+ * @throws {Error} If the quizzes directory is missing or the index can't be written
+ */
+async function generateIndex({ quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+
+  log('\nGenerating quiz index...\n');
+
+  // Check if quizzes directory exists
+  if (!fs.existsSync(QUIZZES_DIR)) {
+    throw new Error(`Quizzes directory not found: ${QUIZZES_DIR}`);
+  }
+
+  // Read all files in the quizzes directory
+  const files = fs.readdirSync(QUIZZES_DIR);
+  const quizFiles = files.filter(file =>
+    file.endsWith('.json') && file !== 'index.json'
+  );
+
+  log(`Found ${quizFiles.length} quiz files:`);
+
+  const quizzes = [];
+  const skipped = [];
+  const lyricsFiles = readLyricsFiles();
+
+  // Load metadata from each quiz file
+  for (const file of quizFiles) {
+    const filePath = path.join(QUIZZES_DIR, file);
+
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const quiz = JSON.parse(content);
+
+      const source = findSourceLyrics(quiz, lyricsFiles);
+      const { errors } = validateQuiz(quiz, source ? source.data.lyrics : null);
+      if (errors.length > 0) {
+        skipped.push(file);
+        console.warn(`  ✗ Skipped ${file}: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`);
+        continue;
+      }
+
+      // Extract relevant metadata
+      const quizInfo = {
+        id: quiz.id,
+        title: quiz.title,
+        artist: quiz.artist,
+        difficulty: quiz.difficulty,
+        blankCount: quiz.blanks?.length || 0,
+        thumbnailUrl: quiz.metadata?.thumbnailUrl,
+        imageUrl: quiz.metadata?.imageUrl,
+        releaseDate: quiz.metadata?.releaseDate,
+        album: quiz.metadata?.album,
+        path: `/data/quizzes/${file}`
+      };
+
+      quizzes.push(quizInfo);
+      log(`  ✓ ${quiz.title} by ${quiz.artist} (${quiz.difficulty})`);
+    } catch (err) {
+      skipped.push(file);
+      console.warn(`  ✗ Failed to parse ${file}: ${err.message}`);
+    }
+  }
+
+  // Sort by artist, then title
+  quizzes.sort((a, b) => {
+    const artistCompare = a.artist.localeCompare(b.artist);
+    if (artistCompare !== 0) return artistCompare;
+    return a.title.localeCompare(b.title);
+  });
+
+  // Leave the file alone if only the timestamp would change
+  const current = readCurrentIndex();
+  const changed = !current || current.count !== quizzes.length ||
+    JSON.stringify(current.quizzes) !== JSON.stringify(quizzes);
+
+  // Create index object
+  const index = {
+    generated: changed ? new Date().toISOString() : current.generated,
+    count: quizzes.length,
+    quizzes
+  };
+
+  if (changed) {
+    // Write index file
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(index, null, 2), 'utf8');
+
+    log(`\n✓ Index generated successfully!`);
+    log(`  Total quizzes: ${quizzes.length}`);
+    log(`  Saved to: ${OUTPUT_FILE}\n`);
+  } else {
+    log(`\n✓ Index is up to date (${quizzes.length} quizzes)\n`);
+  }
+
+  if (skipped.length > 0) {
+    console.warn(`⚠️  ${skipped.length} invalid quiz file(s) left out of the index: ${skipped.join(', ')}`);
+    console.warn('   Run "npm run validate" for details.\n');
+  }
+
+  return { index, skipped, changed };
+}
+
+export {
+  generateIndex
+};
@@ -0,0 +1,249 @@
+/**
+ * Carry a quiz's blanks over to a new version of its lyrics
+ *
+ * The caller supplies a line map (old line index -> new line index, or null
+ * for a removed line). Each blank moves to its mapped line and is found again
+ * there by its answer: the nth occurrence of the answer on the old line becomes
+ * the nth occurrence on the new one. Blanks that can't be placed are dropped,
+ * and the rest are renumbered in lyric order.
+ *
+ * Extra blanks already positioned in the new lyrics (e.g. from a fresh quiz
+ * for lines that changed) can be merged in; they fill in wherever they don't
+ * overlap a carried-over blank.
+ */
+
+import { generateQuizLyrics } from './quiz-generator.js';
+import { parseSections } from './sections.js';
+
+/**
+ * Check whether a match of text in line sits on word boundaries
+ * An apostrophe only continues a word if a letter is on its far side, so
+ * "ladies" matches in "ladies' room" but "don" doesn't match in "don't".
+ * @param {string} line - The line
+ * @param {number} index - Where the match starts
+ * @param {number} length - Length of the match
+ * @returns {boolean} True if neither neighbouring character is part of a word
+ */
+function isWholeWord(line, index, length) {
+  const isLetter = char => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+  const end = index + length;
+  const continuesBefore = isLetter(line[index - 1]) || (line[index - 1] === "'" && isLetter(line[index - 2]));
+  const continuesAfter = isLetter(line[end]) || (line[end] === "'" && isLetter(line[end + 1]));
+  return !continuesBefore && !continuesAfter;
+}
+
+/**
+ * Find every position of text in a line, on word boundaries
+ * @param {string} line - The line
+ * @param {string} text - Text to look for
+ * @returns {Array} Start positions in order
+ */
+function findOccurrences(line, text) {
+  const positions = [];
+  if (!text) {
+    return positions;
+  }
+
+  let index = line.indexOf(text);
+  while (index !== -1) {
+    if (isWholeWord(line, index, text.length)) {
+      positions.push(index);
+    }
+    index = line.indexOf(text, index + 1);
+  }
+  return positions;
+}
+
+/**
+ * Move one occurrence of an answer to the new lyrics
+ * @param {Object} occurrence - { lineIndex, position } in the old lyrics
+ * @param {string} oldAnswer - Answer as it appears in the old lyrics
+ * @param {string} newAnswer - Answer as it should appear in the new lyrics
+ * @param {Object} context - { oldLines, newLines, lineMap }
+ * @returns {Object|null} { lineIndex, position } in the new lyrics, or null if it can't be placed
+ */
+function moveOccurrence({ lineIndex, position }, oldAnswer, newAnswer, { oldLines, newLines, lineMap }) {
+  const newLineIndex = lineMap[lineIndex];
+  if (newLineIndex === null || newLineIndex === undefined) {
+    return null;
+  }
+
+  // Which occurrence of the answer this was, counting from the start of the line
+  const nth = findOccurrences(oldLines[lineIndex] || '', oldAnswer)
+    .filter(start => start < position)
+    .length;
+  const candidates = findOccurrences(newLines[newLineIndex], newAnswer);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+  return {
+    lineIndex: newLineIndex,
+    position: candidates[Math.min(nth, candidates.length - 1)]
+  };
+}
+
+/**
+ * Remap per-line values (such as LRC timestamps) through a line map
+ * @param {Array} values - One value per old line
+ * @param {Array} lineMap - Old line index -> new line index or null
+ * @param {number} newLineCount - Number of lines in the new lyrics
+ * @returns {Array} One value per new line, null where no old line maps to it
+ */
+function remapLineValues(values, lineMap, newLineCount) {
+  const remapped = new Array(newLineCount).fill(null);
+  values.forEach((value, oldIndex) => {
+    const newIndex = lineMap[oldIndex];
+    if (newIndex !== null && newIndex !== undefined && remapped[newIndex] === null) {
+      remapped[newIndex] = value;
+    }
+  });
+  return remapped;
+}
+
+/**
+ * Turn saved quiz blanks back into the shape generateQuizLyrics takes
+ * @param {Array} blanks - Blanks as saved in a quiz
+ * @returns {Array} { lineIndex, position, length, repeats }
+ */
+function toGeneratorBlanks(blanks) {
+  return blanks.map(blank => ({
+    lineIndex: blank.lineIndex,
+    position: blank.position,
+    length: blank.answer.length,
+    repeats: blank.repeats
+  }));
+}
+
+/**
+ * Check whether a quiz was generated from these lyrics
+ * (several lyrics files can share a song id)
+ * @param {Object} quiz - The quiz
+ * @param {string} lyrics - Lyrics text
+ * @returns {boolean} True if blanking the lyrics reproduces the quiz text
+ */
+function isQuizOf(quiz, lyrics) {
+  return generateQuizLyrics(lyrics, toGeneratorBlanks(quiz.blanks)) === quiz.lyrics;
+}
+
+/**
+ * Carry a quiz over to new lyrics
+ * @param {Object} quiz - Quiz generated from oldLyrics
+ * @param {string} oldLyrics - Lyrics the quiz was generated from
+ * @param {string} newLyrics - Lyrics to move it to
+ * @param {Array} lineMap - Old line index -> new line index, or null for removed lines
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.mapText - Applied to answers and choices (e.g. sanitizeText)
+ * @param {Array} options.extraBlanks - Quiz blanks positioned in newLyrics to add where there's room
+ * @returns {Object} { quiz, dropped, added } where dropped lists the blanks that couldn't be
+ *   placed and added counts the extra blanks used
+ */
+function remapQuiz(quiz, oldLyrics, newLyrics, lineMap, { mapText = text => text, extraBlanks = [] } = {}) {
+  const context = {
+    oldLines: oldLyrics.split('\n'),
+    newLines: newLyrics.split('\n'),
+    lineMap
+  };
+  const dropped = [];
+
+  const moved = quiz.blanks.map(blank => {
+    const answer = mapText(blank.answer);
+    const main = moveOccurrence(blank, blank.answer, answer, context);
+
+    if (!main) {
+      dropped.push(blank);
+      return null;
+    }
+
+    const repeats = (blank.repeats || [])
+      .map(repeat => moveOccurrence(repeat, blank.answer, answer, context))
+      .filter(Boolean);
+
+    return { ...blank, ...main, answer, repeats, oldId: blank.id };
+  }).filter(Boolean);
+
+  // Blanks can't overlap; the first to claim a stretch of a line keeps it
+  const taken = [];
+  const overlaps = (blank, { lineIndex, position }) => taken.some(range =>
+    range.lineIndex === lineIndex && position < range.end && range.start < position + blank.answer.length
+  );
+  const claim = blank => {
+    const occurrences = [blank, ...blank.repeats];
+    if (occurrences.some(occurrence => overlaps(blank, occurrence))) {
+      return false;
+    }
+    occurrences.forEach(({ lineIndex, position }) => {
+      taken.push({ lineIndex, start: position, end: position + blank.answer.length });
+    });
+    return true;
+  };
+
+  const kept = moved.filter(blank => {
+    if (!claim(blank)) {
+      dropped.push(quiz.blanks.find(original => original.id === blank.oldId));
+      return false;
+    }
+    return true;
+  });
+  const extras = extraBlanks
+    .map(blank => ({ ...blank, repeats: blank.repeats || [], oldId: null }))
+    .filter(claim);
+
+  const placed = [...kept, ...extras].sort((a, b) => a.lineIndex - b.lineIndex || a.position - b.position);
+
+  const newIds = new Map(
+    placed.map((blank, index) => [blank.oldId, index]).filter(([oldId]) => oldId !== null)
+  );
+
+  const blanks = placed.map(({ oldId, repeats, choices, ...blank }, index) => ({
+    ...blank,
+    id: index,
+    repeats: repeats.length > 0 ? repeats : undefined,
+    choices: choices ? choices.map(mapText) : undefined
+  }));
+
+  const lyrics = generateQuizLyrics(newLyrics, toGeneratorBlanks(blanks));
+
+  const metadata = { ...quiz.metadata, totalBlanks: blanks.length };
+
+  if (metadata.blankTypes) {
+    metadata.blankTypes = Object.fromEntries(
+      Object.keys(metadata.blankTypes).map(type => [
+        type,
+        blanks.filter(blank => (blank.type || 'word') === type).length
+      ])
+    );
+  }
+
+  if (metadata.rhymePairs) {
+    metadata.rhymePairs = metadata.rhymePairs
+      .filter(pair => pair.blankIds.every(id => newIds.has(id)))
+      .map(pair => ({
+        blankIds: pair.blankIds.map(id => newIds.get(id)),
+        words: pair.words.map(mapText),
+        lineIndexes: pair.blankIds.map(id => blanks[newIds.get(id)].lineIndex)
+      }));
+  }
+
+  return {
+    quiz: {
+      ...quiz,
+      lyrics,
+      blanks,
+      sections: quiz.sections ? parseSections(newLyrics) : undefined,
+      timestamps: quiz.timestamps
+        ? remapLineValues(quiz.timestamps, lineMap, context.newLines.length)
+        : undefined,
+      metadata
+    },
+    dropped,
+    added: extras.length
+  };
+}
+
+export {
+  findOccurrences,
+  isQuizOf,
+  remapLineValues,
+  remapQuiz
+};
@@ -0,0 +1,228 @@
+/**
+ * Consistency checks for lyrics and quiz files
+ *
+ * The JSON schemas cover each file's shape; these checks cover what a schema
+ * can't: that a quiz's _____N_____ placeholders match its blanks, that blank
+ * ids run 0..n-1, and that putting the answers back reproduces the lyrics
+ * file the quiz was generated from.
+ *
+ * Every check returns { errors, warnings }. Errors make a file unusable by
+ * the app; warnings are worth fixing but don't break anything.
+ */
+
+import path from 'path';
+import { loadSchema, validateSchema } from './json-schema.js';
+import { isQuizOf } from './quiz-remap.js';
+
+const PLACEHOLDER = /_____(\d+)_____/g;
+
+// Metadata the song selector and results screen show when present
+const DISPLAY_METADATA = ['url', 'imageUrl', 'thumbnailUrl', 'releaseDate'];
+
+let schemas = null;
+
+/**
+ * Load the schemas once
+ * @returns {Object} { lyrics, quiz, index }
+ */
+function getSchemas() {
+  if (!schemas) {
+    schemas = {
+      lyrics: loadSchema('lyrics'),
+      quiz: loadSchema('quiz'),
+      index: loadSchema('quiz-index')
+    };
+  }
+  return schemas;
+}
+
+/**
+ * Describe the first line where two texts differ
+ * @returns {string|null} Description, or null if they match
+ */
+function describeLineDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const lineCount = Math.max(expectedLines.length, actualLines.length);
+
+  for (let i = 0; i < lineCount; i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      return `line ${i + 1}: expected ${JSON.stringify(expectedLines[i] ?? '')}, got ${JSON.stringify(actualLines[i] ?? '')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a lyrics file
+ * @param {Object} songData - Parsed lyrics file
+ * @returns {Object} { errors, warnings }
+ */
+function validateLyrics(songData) {
+  const errors = validateSchema(songData, getSchemas().lyrics);
+  const warnings = [];
+
+  if (errors.length > 0) {
+    return { errors, warnings };
+  }
+
+  const lines = songData.lyrics.split('\n');
+
+  (songData.annotations || []).forEach((annotation, index) => {
+    const line = lines[annotation.lineIndex];
+    if (line === undefined || annotation.end > line.length || annotation.start >= annotation.end) {
+      errors.push(`annotations[${index}]: range ${annotation.start}-${annotation.end} is outside line ${annotation.lineIndex + 1}`);
+    }
+  });
+
+  if (songData.timestamps && songData.timestamps.length !== lines.length) {
+    errors.push(`timestamps: ${songData.timestamps.length} entries for ${lines.length} lines`);
+  }
+
+  if (/<\/?[a-z][^>]*>|&(#\d+|#x[0-9a-f]+|[a-z]+);/i.test(songData.lyrics)) {
+    warnings.push('lyrics contain HTML markup or entities (run fetch-lyrics-cli.js --reclean)');
+  }
+
+  // Imported files have no Genius page or artwork
+  if (!songData.source) {
+    const missing = DISPLAY_METADATA.filter(key => !songData[key]);
+    if (missing.length > 0) {
+      warnings.push(`missing metadata: ${missing.join(', ')}`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check a quiz file against the lyrics it was generated from
+ * @param {Object} quiz - Parsed quiz file
+ * @param {string|null} sourceLyrics - Lyrics text of the source file, or null if it couldn't be found
+ * @returns {Object} { errors, warnings }
+ */
+function validateQuiz(quiz, sourceLyrics) {
+  const errors = validateSchema(quiz, getSchemas().quiz);
+  const warnings = [];
+
+  if (errors.length > 0) {
+    return { errors, warnings };
+  }
+
+  // Blank ids are array indexes in the app
+  const misnumbered = quiz.blanks.findIndex((blank, index) => blank.id !== index);
+  if (misnumbered !== -1) {
+    errors.push(`blanks[${misnumbered}]: id is ${quiz.blanks[misnumbered].id}, but ids must run 0..${quiz.blanks.length - 1} in order`);
+  }
+
+  // Every blank appears once per occurrence, and nothing else does
+  const placeholderCounts = new Map();
+  for (const match of quiz.lyrics.matchAll(PLACEHOLDER)) {
+    const id = Number(match[1]);
+    placeholderCounts.set(id, (placeholderCounts.get(id) || 0) + 1);
+  }
+  placeholderCounts.forEach((count, id) => {
+    if (!quiz.blanks[id]) {
+      errors.push(`lyrics: placeholder _____${id}_____ has no blank`);
+    }
+  });
+  quiz.blanks.forEach((blank, index) => {
+    const expected = 1 + (blank.repeats?.length || 0);
+    const found = placeholderCounts.get(index) || 0;
+    if (found !== expected) {
+      errors.push(`blanks[${index}]: placeholder appears ${found} time(s), expected ${expected}`);
+    }
+    if (blank.choices && !blank.choices.includes(blank.answer)) {
+      errors.push(`blanks[${index}]: choices don't include the answer "${blank.answer}"`);
+    }
+  });
+
+  if (quiz.metadata.totalBlanks !== quiz.blanks.length) {
+    errors.push(`metadata.totalBlanks is ${quiz.metadata.totalBlanks}, but there are ${quiz.blanks.length} blanks`);
+  }
+
+  if (quiz.metadata.blankTypes) {
+    Object.entries(quiz.metadata.blankTypes).forEach(([type, count]) => {
+      const actual = quiz.blanks.filter(blank => (blank.type || 'word') === type).length;
+      if (actual !== count) {
+        errors.push(`metadata.blankTypes.${type} is ${count}, but there are ${actual}`);
+      }
+    });
+  }
+
+  const lineCount = quiz.lyrics.split('\n').length;
+  (quiz.sections || []).forEach((section, index) => {
+    if (section.startLine > section.endLine || section.endLine >= lineCount) {
+      errors.push(`sections[${index}]: lines ${section.startLine}-${section.endLine} are outside the lyrics`);
+    }
+  });
+  if (quiz.timestamps && quiz.timestamps.length !== lineCount) {
+    errors.push(`timestamps: ${quiz.timestamps.length} entries for ${lineCount} lines`);
+  }
+
+  if (sourceLyrics === null) {
+    errors.push(`source lyrics not found (metadata.originalFile: ${quiz.metadata.originalFile})`);
+  } else if (errors.length === 0) {
+    // Answers put back into the placeholders give the lyrics
+    const restored = quiz.lyrics.replace(PLACEHOLDER, (placeholder, id) => quiz.blanks[Number(id)].answer);
+    const difference = describeLineDifference(sourceLyrics, restored);
+    if (difference) {
+      errors.push(`answers don't reproduce the source lyrics at ${difference}`);
+    } else if (!isQuizOf(quiz, sourceLyrics)) {
+      errors.push('blank positions don\'t match where their placeholders are');
+    }
+  }
+
+  // Quizzes of imported lyrics (local-... ids) have no Genius page or artwork
+  const missing = DISPLAY_METADATA.filter(key => !quiz.metadata[key]);
+  if (missing.length > 0 && typeof quiz.id === 'number') {
+    warnings.push(`missing metadata: ${missing.join(', ')}`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check the quiz index
+ * @param {Object} index - Parsed index.json
+ * @returns {Object} { errors, warnings }
+ */
+function validateIndex(index) {
+  const errors = validateSchema(index, getSchemas().index);
+
+  if (errors.length === 0 && index.count !== index.quizzes.length) {
+    errors.push(`count is ${index.count}, but ${index.quizzes.length} quizzes are listed`);
+  }
+
+  return { errors, warnings: [] };
+}
+
+/**
+ * Find the lyrics file a quiz was generated from
+ *
+ * metadata.originalFile is an absolute path on the machine that generated the
+ * quiz, so it's matched by file name. Failing that, any lyrics file with the
+ * quiz's id whose text the quiz was made from is accepted.
+ *
+ * @param {Object} quiz - Parsed quiz file
+ * @param {Array} lyricsFiles - { file, data } for each lyrics file
+ * @returns {Object|null} The matching { file, data }, or null
+ */
+function findSourceLyrics(quiz, lyricsFiles) {
+  const originalName = quiz.metadata?.originalFile ? path.basename(quiz.metadata.originalFile) : null;
+  const byName = lyricsFiles.find(({ file, data }) => file === originalName && data.id === quiz.id);
+  if (byName) {
+    return byName;
+  }
+
+  const hasAnswers = Array.isArray(quiz.blanks) && quiz.blanks.every(blank => typeof blank?.answer === 'string');
+  return lyricsFiles.find(({ data }) =>
+    data.id === quiz.id && typeof data.lyrics === 'string' && hasAnswers && isQuizOf(quiz, data.lyrics)
+  ) || null;
+}
+
+export {
+  validateLyrics,
+  validateQuiz,
+  validateIndex,
+  findSourceLyrics
+};
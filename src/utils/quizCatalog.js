@@ -0,0 +1,87 @@
+/**
+ * The quiz catalog: the index of available quizzes, and each quiz's full
+ * data loaded only when it's needed
+ *
+ * The index (built by scripts/generate-quiz-index.js) has everything a song
+ * card shows, so listing songs takes one request however many there are.
+ * Quiz bodies are fetched on demand and kept in memory, and requests already
+ * in flight are shared, so prefetching on hover and then opening the quiz
+ * only fetches it once.
+ */
+
+const INDEX_PATH = '/data/quizzes/index.json'
+
+let catalogRequest = null
+const quizRequests = new Map()
+
+/**
+ * Fetch a JSON file
+ */
+async function fetchJSON(path) {
+  const response = await fetch(path)
+  if (!response.ok) {
+    throw new Error(`Failed to load ${path} (${response.status})`)
+  }
+  return response.json()
+}
+
+/**
+ * Load the quiz index
+ * @returns {Promise<Array>} Index entries: { id, title, artist, difficulty, blankCount, thumbnailUrl, imageUrl, releaseDate, album, path }
+ */
+export function loadCatalog() {
+  if (!catalogRequest) {
+    catalogRequest = fetchJSON(INDEX_PATH)
+      .then((index) => index.quizzes)
+      .catch((error) => {
+        // Let the next call try again
+        catalogRequest = null
+        throw error
+      })
+  }
+  return catalogRequest
+}
+
+/**
+ * Load a quiz's full data
+ * @param {Object} entry - Index entry from loadCatalog
+ * @returns {Promise<Object>} The quiz
+ */
+export function loadQuiz(entry) {
+  if (!quizRequests.has(entry.path)) {
+    const request = fetchJSON(entry.path).catch((error) => {
+      quizRequests.delete(entry.path)
+      throw error
+    })
+    quizRequests.set(entry.path, request)
+  }
+  return quizRequests.get(entry.path)
+}
+
+/**
+ * Load a quiz by id
+ * @param {number|string} quizId - The quiz ID (ids from URLs are strings, so ids are compared as strings)
+ * @returns {Promise<Object|null>} The quiz, or null if no quiz in the index has that id
+ */
+export async function loadQuizById(quizId) {
+  const entries = await loadCatalog()
+  const entry = entries.find((quiz) => String(quiz.id) === String(quizId))
+  return entry ? loadQuiz(entry) : null
+}
+
+/**
+ * Start loading a quiz that's likely to be opened soon
+ * Failures are ignored here; opening the quiz tries again and reports them.
+ */
+export function prefetchQuiz(entry) {
+  loadQuiz(entry).catch(() => {})
+}
+
+/**
+ * Forget everything loaded, so the next calls fetch the files again
+ * (used when the data changes during development)
+ */
+export function clearCatalogCache() {
+  catalogRequest = null
+  quizRequests.clear()
+}
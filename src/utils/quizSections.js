@@ -0,0 +1,28 @@
+/**
+ * Helpers for the section boundaries stored in quiz JSON
+ */
+
+/**
+ * Display name for a section (lines before the first header have no name)
+ */
+export function getSectionName(section) {
+  return section.name || 'Opening'
+}
+
+/**
+ * Find the section a line belongs to
+ */
+export function findSectionForLine(sections, lineIndex) {
+  return (sections || []).find(
+    (section) => lineIndex >= section.startLine && lineIndex <= section.endLine
+  )
+}
+
+/**
+ * Get the blanks that fall inside a section
+ */
+export function getSectionBlanks(quiz, section) {
+  return quiz.blanks.filter(
+    (blank) => blank.lineIndex >= section.startLine && blank.lineIndex <= section.endLine
+  )
+}
@@ -0,0 +1,104 @@
+/**
+ * Detect repeated lines (choruses, hooks) so a quiz can treat every copy of a
+ * line as one question instead of blanking each copy differently
+ */
+
+import { foldText, tokenize } from './textNormalize.js';
+
+// Share of words two lines must have in common, in order, to count as the same line
+const SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * Split a line into folded words (see foldText), ignoring punctuation
+ * @param {string} line - A line of lyrics
+ * @returns {Array} Words
+ */
+function getLineWords(line) {
+  return tokenize(line).map(({ word }) => foldText(word));
+}
+
+/**
+ * Measure how alike two lines are (longest common word sequence over the longer line)
+ * @param {Array} a - Words of the first line
+ * @param {Array} b - Words of the second line
+ * @returns {number} Similarity from 0 to 1
+ */
+function lineSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      lengths[i][j] = a[i - 1] === b[j - 1]
+        ? lengths[i - 1][j - 1] + 1
+        : Math.max(lengths[i - 1][j], lengths[i][j - 1]);
+    }
+  }
+
+  return lengths[a.length][b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Find lines that repeat an earlier line exactly or nearly
+ * @param {Array} lines - Lyrics split into lines
+ * @param {Function} isLyricLine - Predicate for lines that hold sung words
+ * @param {number} threshold - Minimum similarity to count as a repeat
+ * @returns {Map} Line index of each repeat -> line index of its first occurrence
+ */
+function findRepeatedLines(lines, isLyricLine, threshold = SIMILARITY_THRESHOLD) {
+  const repeats = new Map();
+  const originals = [];
+
+  lines.forEach((line, lineIndex) => {
+    if (!isLyricLine(line)) {
+      return;
+    }
+
+    const words = getLineWords(line);
+    const original = originals.find(candidate => lineSimilarity(candidate.words, words) >= threshold);
+
+    if (original) {
+      repeats.set(lineIndex, original.lineIndex);
+    } else {
+      originals.push({ lineIndex, words });
+    }
+  });
+
+  return repeats;
+}
+
+/**
+ * Find where a blank's text appears again in a repeated line
+ * Words are matched case-insensitively as whole words, preferring the same
+ * word position as the original; phrases and lines must match exactly.
+ * @param {Object} blank - Selected blank (word, type, lineIndex, position)
+ * @param {string} originalLine - The line the blank was taken from
+ * @param {string} copyLine - The repeated line
+ * @returns {number} Position of the text in the copy, or -1 if it isn't there
+ */
+function findInRepeat(blank, originalLine, copyLine) {
+  if (blank.type !== 'word') {
+    return copyLine.indexOf(blank.word);
+  }
+
+  const originalTokens = tokenize(originalLine);
+  const copyTokens = tokenize(copyLine);
+  const target = foldText(blank.word);
+
+  const wordIndex = originalTokens.findIndex(token => token.position === blank.position);
+  const samePlace = copyTokens[wordIndex];
+  if (samePlace && foldText(samePlace.word) === target) {
+    return samePlace.position;
+  }
+
+  const anywhere = copyTokens.find(token => foldText(token.word) === target);
+  return anywhere ? anywhere.position : -1;
+}
+
+export {
+  lineSimilarity,
+  findRepeatedLines,
+  findInRepeat
+};
@@ -0,0 +1,122 @@
+/**
+ * Offline rhyme detection for the quiz generators
+ *
+ * English spelling is a poor guide to sound, so this is a heuristic: a few
+ * spelling rewrites bring common sound-alike endings together, then words are
+ * compared on their last vowel cluster and what follows it, or on a shared
+ * three-letter suffix. Slant rhymes (same vowel, similar-sounding final
+ * consonant, like "sweat" and "bed") count too.
+ */
+
+import { foldText } from './textNormalize.js';
+
+// How many lines apart two line endings can be and still count as a rhyme
+const RHYME_WINDOW = 4;
+
+// Spelling rewrites applied before comparing endings
+const SOUND_RULES = [
+  [/ph/g, 'f'],
+  [/ck$/, 'k'],
+  [/igh(t?)$/, 'i$1e'],                // night, bite / high, lie
+  [/^([^aeiou]+)y$/, '$1ie'],          // my, lie
+  [/([^aeiou])y([^aeiou])/g, '$1i$2'], // rhyme, time
+  [/([^aeiou])y$/, '$1ee'],            // baby, see
+  [/^([^aeiou]*)e$/, '$1ee'],          // me, free
+  [/ea([^aeiou]*)$/, 'ee$1']           // dream, seem
+];
+
+// Final consonants that sound close enough for a slant rhyme
+const CONSONANT_CLASSES = [/^[ptkbdgc]+$/, /^[fvszxh]+$/, /^[mn]+g?$/, /^[lr]+$/];
+
+/**
+ * Get the part of a word that has to match for it to rhyme
+ * @param {string} word - The word
+ * @returns {string} The last vowel cluster and everything after it
+ */
+function getRhymeKey(word) {
+  let sound = foldText(word).replace(/[^a-z]/g, '');
+  SOUND_RULES.forEach(([pattern, replacement]) => {
+    sound = sound.replace(pattern, replacement);
+  });
+
+  // A silent e keeps the vowel before it long (take, make)
+  const match = sound.match(/[aeiouy]+[^aeiouy]+e$/) || sound.match(/[aeiouy]+[^aeiouy]*$/);
+  return match ? match[0] : sound;
+}
+
+/**
+ * Check whether two words rhyme
+ * Repeating the same word doesn't count.
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {boolean} True if the words rhyme
+ */
+function wordsRhyme(a, b) {
+  const first = foldText(a);
+  const second = foldText(b);
+
+  if (first === second) {
+    return false;
+  }
+
+  if (getRhymeKey(first) === getRhymeKey(second)) {
+    return true;
+  }
+
+  if (first.length > 3 && second.length > 3 && first.slice(-3) === second.slice(-3)) {
+    return true;
+  }
+
+  return isSlantRhyme(getRhymeKey(first), getRhymeKey(second));
+}
+
+/**
+ * Check whether two rhyme keys share a vowel and end in similar consonants
+ * @param {string} a - First rhyme key
+ * @param {string} b - Second rhyme key
+ * @returns {boolean} True for a slant rhyme
+ */
+function isSlantRhyme(a, b) {
+  const [, vowelA, endA, silentA] = a.match(/^([aeiouy]+)([^aeiouy]*)(e?)$/) || [];
+  const [, vowelB, endB, silentB] = b.match(/^([aeiouy]+)([^aeiouy]*)(e?)$/) || [];
+
+  // A silent e changes the vowel sound (hat, hate)
+  if (!vowelA || vowelA !== vowelB || silentA !== silentB || !endA || !endB) {
+    return false;
+  }
+
+  return CONSONANT_CLASSES.some(pattern => pattern.test(endA) && pattern.test(endB));
+}
+
+/**
+ * Find line-ending words that rhyme with a nearby line
+ * @param {Array} words - Candidate words from extractWords (with lineIndex and isLineEnd)
+ * @param {number} window - Maximum distance between the two lines
+ * @returns {Array} Pairs of words, [earlier, later]
+ */
+function findRhymePairs(words, window = RHYME_WINDOW) {
+  const lineEnds = words
+    .filter(word => word.isLineEnd)
+    .sort((a, b) => a.lineIndex - b.lineIndex);
+  const pairs = [];
+
+  lineEnds.forEach((word, index) => {
+    for (let j = index + 1; j < lineEnds.length; j++) {
+      const other = lineEnds[j];
+      if (other.lineIndex - word.lineIndex > window) {
+        break;
+      }
+      if (wordsRhyme(word.word, other.word)) {
+        pairs.push([word, other]);
+      }
+    }
+  });
+
+  return pairs;
+}
+
+export {
+  getRhymeKey,
+  wordsRhyme,
+  findRhymePairs
+};
@@ -0,0 +1,137 @@
+/**
+ * Client-side routing on the History API
+ *
+ * Routes:
+ *   /                                  song list (search and filters in the query string)
+ *   /artists, /albums                  artist and album lists
+ *   /artist/:name                      one artist's albums and songs
+ *   /artist/:name/album/:album         one album's songs
+ *   /artist/:name/other-songs          the artist's songs that aren't on an album
+ *   /quiz/:id                          a quiz (?challenge=... when opened from a share link)
+ *   /quiz/:id/results                  the latest results for a quiz
+ *
+ * The server answers every path with index.html (see vercel.json), so any of
+ * these can be bookmarked or reloaded.
+ */
+
+import { useState, useEffect } from 'react'
+
+// Fired on window whenever navigate() changes the URL
+const NAVIGATE_EVENT = 'lyricsiq:navigate'
+
+const ROUTES = [
+  { name: 'songs', pattern: /^\/$/ },
+  { name: 'artists', pattern: /^\/artists$/ },
+  { name: 'albums', pattern: /^\/albums$/ },
+  { name: 'artist', pattern: /^\/artist\/([^/]+)$/, keys: ['artist'] },
+  { name: 'album', pattern: /^\/artist\/([^/]+)\/album\/([^/]+)$/, keys: ['artist', 'album'] },
+  { name: 'otherSongs', pattern: /^\/artist\/([^/]+)\/other-songs$/, keys: ['artist'] },
+  { name: 'quiz', pattern: /^\/quiz\/([^/]+)$/, keys: ['id'] },
+  { name: 'results', pattern: /^\/quiz\/([^/]+)\/results$/, keys: ['id'] }
+]
+
+/**
+ * Match a URL against the routes
+ * @param {string} pathname - e.g. window.location.pathname
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} { name, params, query } where name is 'notFound' if nothing matches
+ */
+export function matchRoute(pathname, search = '') {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname
+  const query = new URLSearchParams(search)
+
+  for (const route of ROUTES) {
+    const match = path.match(route.pattern)
+    if (match) {
+      const params = {}
+      ;(route.keys || []).forEach((key, index) => {
+        try {
+          params[key] = decodeURIComponent(match[index + 1])
+        } catch {
+          params[key] = match[index + 1]
+        }
+      })
+      return { name: route.name, params, query }
+    }
+  }
+
+  return { name: 'notFound', params: {}, query }
+}
+
+/**
+ * Go to a path, adding a history entry unless replace is set
+ * @param {string} path - Path with optional query string
+ * @param {Object} options - { replace }
+ */
+export function navigate(path, { replace = false } = {}) {
+  const current = window.location.pathname + window.location.search
+  if (path === current) return
+
+  if (replace) {
+    window.history.replaceState({}, '', path)
+  } else {
+    window.history.pushState({}, '', path)
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+/**
+ * Update the query string of the current page without a history entry or re-render
+ * (for state like search filters that the page already holds)
+ */
+export function replaceQuery(search) {
+  window.history.replaceState({}, '', window.location.pathname + search)
+}
+
+/**
+ * The current route, updated on navigate() and the back and forward buttons
+ * @returns {Object} Route from matchRoute
+ */
+export function useRoute() {
+  const [route, setRoute] = useState(() => matchRoute(window.location.pathname, window.location.search))
+
+  useEffect(() => {
+    const update = () => setRoute(matchRoute(window.location.pathname, window.location.search))
+    window.addEventListener('popstate', update)
+    window.addEventListener(NAVIGATE_EVENT, update)
+    return () => {
+      window.removeEventListener('popstate', update)
+      window.removeEventListener(NAVIGATE_EVENT, update)
+    }
+  }, [])
+
+  return route
+}
+
+/**
+ * Path to a quiz
+ * @param {number|string} quizId - The quiz ID
+ * @param {string|null} challenge - Encoded challenge from a share link, kept in the URL
+ */
+export function quizPath(quizId, challenge = null) {
+  const path = `/quiz/${encodeURIComponent(quizId)}`
+  return challenge ? `${path}?challenge=${encodeURIComponent(challenge)}` : path
+}
+
+/**
+ * Path to a quiz's results
+ */
+export function resultsPath(quizId, challenge = null) {
+  const path = `/quiz/${encodeURIComponent(quizId)}/results`
+  return challenge ? `${path}?challenge=${encodeURIComponent(challenge)}` : path
+}
+
+/**
+ * Path to an artist
+ */
+export function artistPath(artist) {
+  return `/artist/${encodeURIComponent(artist)}`
+}
+
+/**
+ * Path to one of an artist's albums, or to their songs on no album if album is null
+ */
+export function albumPath(artist, album) {
+  const path = artistPath(artist)
+  return album ? `${path}/album/${encodeURIComponent(album)}` : `${path}/other-songs`
+}
@@ -1,16 +1,24 @@
 /**
  * Utility functions for storing and retrieving quiz scores from localStorage
+ *
+ * Practice runs are kept under their own key, so they never count towards
+ * best scores or stats.
  */
 
 const STORAGE_KEY = 'lyricsiq_scores'
+const PRACTICE_STORAGE_KEY = 'lyricsiq_practice'
+
+// Scores kept per quiz, oldest dropped first
+const MAX_SCORES_PER_QUIZ = 10
 
 /**
- * Get all stored scores
+ * Read a score store from localStorage
+ * @param {string} key - STORAGE_KEY or PRACTICE_STORAGE_KEY
  * @returns {Object} Object mapping quiz IDs to score data
  */
-export function getAllScores() {
+function readScores(key) {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY)
+    const stored = localStorage.getItem(key)
     return stored ? JSON.parse(stored) : {}
   } catch (error) {
     console.error('Error reading scores from localStorage:', error)
@@ -18,6 +26,53 @@ export function getAllScores() {
   }
 }
 
+/**
+ * Add a score to a score store in localStorage
+ * @param {string} key - STORAGE_KEY or PRACTICE_STORAGE_KEY
+ * @returns {boolean} True if the score was saved
+ */
+function appendScore(key, quizId, quizTitle, artist, scoreData) {
+  try {
+    const allScores = readScores(key)
+
+    // Initialize array for this quiz if it doesn't exist
+    if (!allScores[quizId]) {
+      allScores[quizId] = []
+    }
+
+    // Add the new score with timestamp
+    const scoreEntry = {
+      ...scoreData,
+      quizId,
+      quizTitle,
+      artist,
+      timestamp: new Date().toISOString(),
+      date: new Date().toLocaleDateString()
+    }
+
+    allScores[quizId].push(scoreEntry)
+
+    // Keep only the last few scores per quiz to avoid excessive storage
+    if (allScores[quizId].length > MAX_SCORES_PER_QUIZ) {
+      allScores[quizId] = allScores[quizId].slice(-MAX_SCORES_PER_QUIZ)
+    }
+
+    localStorage.setItem(key, JSON.stringify(allScores))
+    return true
+  } catch (error) {
+    console.error('Error saving score to localStorage:', error)
+    return false
+  }
+}
+
+/**
+ * Get all stored scores
+ * @returns {Object} Object mapping quiz IDs to score data
+ */
+export function getAllScores() {
+  return readScores(STORAGE_KEY)
+}
+
 /**
  * Get scores for a specific quiz
  * @param {number} quizId - The quiz ID
@@ -37,14 +92,38 @@ export function getBestScore(quizId) {
   const scores = getQuizScores(quizId)
   if (scores.length === 0) return null
 
-  // Sort by percentage (primary) and wordAccuracy (secondary)
+  // Sort by percentage (primary), fewest hints (secondary) and wordAccuracy (tertiary)
   return scores.reduce((best, current) => {
-    if (current.percentage > best.percentage) return current
-    if (current.percentage === best.percentage && current.wordAccuracy > best.wordAccuracy) return current
-    return best
+    if (current.percentage !== best.percentage) return current.percentage > best.percentage ? current : best
+    const currentHints = current.hintsUsed || 0
+    const bestHints = best.hintsUsed || 0
+    if (currentHints !== bestHints) return currentHints < bestHints ? current : best
+    return current.wordAccuracy > best.wordAccuracy ? current : best
   })
 }
 
+/**
+ * Check whether a score was earned with the help of hints
+ * @param {Object} score - A stored score
+ * @returns {boolean} True if any hints were used (scores saved before hints existed never were)
+ */
+export function isAssisted(score) {
+  return (score?.hintsUsed || 0) > 0
+}
+
+/**
+ * Get when a quiz was last played
+ * @param {number} quizId - The quiz ID
+ * @returns {string|null} ISO timestamp of the latest score or null if never played
+ */
+export function getLastPlayed(quizId) {
+  const scores = getQuizScores(quizId)
+  if (scores.length === 0) return null
+
+  // Scores are stored oldest first
+  return scores[scores.length - 1].timestamp || null
+}
+
 /**
  * Save a new score for a quiz
  * @param {number} quizId - The quiz ID
@@ -53,37 +132,27 @@ export function getBestScore(quizId) {
  * @param {Object} scoreData - The score data object
  */
 export function saveScore(quizId, quizTitle, artist, scoreData) {
-  try {
-    const allScores = getAllScores()
-
-    // Initialize array for this quiz if it doesn't exist
-    if (!allScores[quizId]) {
-      allScores[quizId] = []
-    }
-
-    // Add the new score with timestamp
-    const scoreEntry = {
-      ...scoreData,
-      quizId,
-      quizTitle,
-      artist,
-      timestamp: new Date().toISOString(),
-      date: new Date().toLocaleDateString()
-    }
-
-    allScores[quizId].push(scoreEntry)
+  return appendScore(STORAGE_KEY, quizId, quizTitle, artist, scoreData)
+}
 
-    // Keep only the last 10 scores per quiz to avoid excessive storage
-    if (allScores[quizId].length > 10) {
-      allScores[quizId] = allScores[quizId].slice(-10)
-    }
+/**
+ * Get practice runs for a specific quiz
+ * @param {number} quizId - The quiz ID
+ * @returns {Array} Array of practice score objects for this quiz, oldest first
+ */
+export function getPracticeScores(quizId) {
+  return readScores(PRACTICE_STORAGE_KEY)[quizId] || []
+}
 
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(allScores))
-    return true
-  } catch (error) {
-    console.error('Error saving score to localStorage:', error)
-    return false
-  }
+/**
+ * Save a practice run for a quiz, apart from the competitive scores
+ * @param {number} quizId - The quiz ID
+ * @param {string} quizTitle - The quiz title
+ * @param {string} artist - The artist name
+ * @param {Object} scoreData - The score data object
+ */
+export function savePracticeScore(quizId, quizTitle, artist, scoreData) {
+  return appendScore(PRACTICE_STORAGE_KEY, quizId, quizTitle, artist, scoreData)
 }
 
 /**
@@ -125,11 +194,12 @@ export function getStats() {
 }
 
 /**
- * Clear all scores (useful for testing or reset)
+ * Clear all scores and practice runs (useful for testing or reset)
  */
 export function clearAllScores() {
   try {
     localStorage.removeItem(STORAGE_KEY)
+    localStorage.removeItem(PRACTICE_STORAGE_KEY)
     return true
   } catch (error) {
     console.error('Error clearing scores:', error)
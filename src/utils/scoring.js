@@ -0,0 +1,154 @@
+import { gradeAnswer, toWords } from './grading'
+import { getSectionBlanks } from './quizSections'
+import { getHintPenalty, countHints } from './hints'
+
+// Grades from best to worst; a multi-word blank takes its worst word's
+const MATCH_ORDER = ['exact', 'variant', 'typo', 'wrong']
+
+/**
+ * Get the type of a blank ('word', 'phrase' or 'line')
+ * Quizzes generated before multi-word blanks existed have no type field
+ */
+export function getBlankType(blank) {
+  return blank.type || 'word'
+}
+
+/**
+ * Split an answer into normalized words, ignoring punctuation
+ */
+export function splitAnswerWords(text) {
+  return toWords(text)
+}
+
+/**
+ * Score a single blank
+ * Answers are graded as exact, variant, typo or wrong (see grading.js). Word
+ * blanks earn the credit for their grade. Phrase and line blanks written
+ * another way as a whole ("gonna" for "going to") earn full variant credit;
+ * otherwise each word is graded in its place and the blank earns the average.
+ * @param {Object} options - { credit } to override the credit for each grade
+ * @returns {Object} { credit (0-1), isCorrect, match, words (per-word results for multi-word blanks) }
+ */
+export function scoreBlank(blank, userAnswer, options = {}) {
+  const answer = userAnswer || ''
+  const whole = gradeAnswer(answer, blank.answer, options)
+
+  if (getBlankType(blank) === 'word') {
+    return { credit: whole.credit, isCorrect: whole.credit >= 1, match: whole.match, words: null }
+  }
+
+  const expectedWords = splitAnswerWords(blank.answer)
+
+  if (whole.match === 'exact' || whole.match === 'variant') {
+    const words = expectedWords.map((expected) => ({
+      expected,
+      actual: expected,
+      match: whole.match,
+      credit: whole.credit,
+      isCorrect: whole.credit >= 1
+    }))
+    return { credit: whole.credit, isCorrect: whole.credit >= 1, match: whole.match, words }
+  }
+
+  const userWords = splitAnswerWords(answer)
+  const words = expectedWords.map((expected, index) => {
+    const { match, credit } = gradeAnswer(userWords[index], expected, options)
+    return { expected, actual: userWords[index] || '', match, credit, isCorrect: credit >= 1 }
+  })
+
+  // Extra words count against the answer so padding can't earn full credit
+  const earned = words.reduce((sum, word) => sum + word.credit, 0)
+  const wordCount = Math.max(expectedWords.length, userWords.length)
+  const credit = wordCount > 0 ? earned / wordCount : 0
+  const matches = userWords.length > expectedWords.length
+    ? [...words.map((word) => word.match), 'wrong']
+    : words.map((word) => word.match)
+  const match = MATCH_ORDER[Math.max(...matches.map((type) => MATCH_ORDER.indexOf(type)))]
+
+  return {
+    credit,
+    isCorrect: credit >= 1,
+    match,
+    words
+  }
+}
+
+/**
+ * Score a whole quiz
+ * wordAccuracy is the percentage of the answers' words typed exactly or as an
+ * accepted variant, so it drops with every typo even when typos earn credit.
+ * Hints cost part of a blank's credit (see hints.js) but don't stop a right
+ * answer counting as correct; assistedCount says how many correct blanks needed them.
+ * @param {Object} options - { credit } to override the credit for each grade,
+ *   { hints } used per blank ID and { hintPenalties } to override their cost
+ * @returns {Object} { correct (fully correct blanks), points (sum of credit), total, percentage,
+ *   wordAccuracy, wordMatches ({ exact, variant, typo, wrong } word counts),
+ *   hintsUsed, assistedCount, hints }
+ */
+export function scoreQuiz(quiz, answers, options = {}) {
+  const { hints = {}, hintPenalties } = options
+  let correct = 0
+  let points = 0
+  let hintsUsed = 0
+  let assistedCount = 0
+  const wordMatches = { exact: 0, variant: 0, typo: 0, wrong: 0 }
+
+  quiz.blanks.forEach((blank) => {
+    const result = scoreBlank(blank, answers[blank.id], options)
+    const blankHints = countHints(hints[blank.id])
+    if (result.isCorrect) correct++
+    if (result.isCorrect && blankHints > 0) assistedCount++
+    hintsUsed += blankHints
+    points += Math.max(0, result.credit - getHintPenalty(hints[blank.id], hintPenalties))
+
+    if (result.words) {
+      result.words.forEach((word) => wordMatches[word.match]++)
+    } else {
+      wordMatches[result.match]++
+    }
+  })
+
+  const total = quiz.blanks.length
+  const wordCount = Object.values(wordMatches).reduce((sum, count) => sum + count, 0)
+
+  return {
+    correct,
+    points: Math.round(points * 100) / 100,
+    total,
+    percentage: Math.round((points / total) * 100),
+    wordAccuracy: wordCount > 0 ? Math.round(((wordMatches.exact + wordMatches.variant) / wordCount) * 100) : 0,
+    wordMatches,
+    hintsUsed,
+    assistedCount,
+    hints
+  }
+}
+
+/**
+ * Score a practice run's first tries
+ * @param {Object} firstTries - Blank ID -> whether its first checked answer was correct
+ * @returns {Object} { firstTryCorrect, firstTryAccuracy (percentage of all blanks) }
+ */
+export function scoreFirstTries(quiz, firstTries) {
+  const firstTryCorrect = quiz.blanks.filter((blank) => firstTries[blank.id]).length
+
+  return {
+    firstTryCorrect,
+    firstTryAccuracy: Math.round((firstTryCorrect / quiz.blanks.length) * 100)
+  }
+}
+
+/**
+ * Score each section of a quiz that contains blanks
+ * @param {Object} options - As for scoreQuiz
+ * @returns {Array} [{ section, correct, points, total, percentage }]
+ */
+export function scoreSections(quiz, answers, options = {}) {
+  return (quiz.sections || [])
+    .map((section) => {
+      const blanks = getSectionBlanks(quiz, section)
+      if (blanks.length === 0) return null
+      return { section, ...scoreQuiz({ blanks }, answers, options) }
+    })
+    .filter(Boolean)
+}
@@ -0,0 +1,195 @@
+/**
+ * Rank Genius search results against the requested song
+ *
+ * Genius search is a full-text search, so the first hit is often a
+ * translation, remix, live recording or annotated page rather than the song
+ * itself. Each hit gets a confidence from 0 to 1: how closely its title and
+ * artist match the request, less a penalty for each kind of alternate
+ * version the request didn't ask for, adjusted by the album when one is known.
+ */
+
+// Below this confidence a match shouldn't be picked without asking
+const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+// How much the title and artist count towards the confidence
+const TITLE_WEIGHT = 0.6;
+const ARTIST_WEIGHT = 0.4;
+
+// Adjustment when a hit's album does or doesn't match the requested album
+const ALBUM_MATCH_BONUS = 0.15;
+const ALBUM_MISMATCH_PENALTY = 0.1;
+
+// Alternate versions: a pattern for the hit, and the penalty when the request
+// doesn't mention that kind of version itself
+const VERSION_PENALTIES = [
+  {
+    reason: 'translation',
+    pattern: /\b(translations?|traducci[oó]n|tradu[cç][aã]o|traduction|[uü]bersetzung)\b/i,
+    penalty: 0.5
+  },
+  {
+    reason: 'annotated',
+    pattern: /\bgenius annotated\b|^genius$/i,
+    penalty: 0.5
+  },
+  {
+    reason: 'remix',
+    pattern: /\b(remix|rmx|mix|edit|mashup)\b/i,
+    penalty: 0.3
+  },
+  {
+    reason: 'live',
+    pattern: /\blive\b/i,
+    penalty: 0.3
+  }
+];
+
+/**
+ * Normalize a title, artist or album name for comparison
+ * Drops accents, featured artists and punctuation, and spells out "&".
+ * @param {string} text - The name
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeName(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[‘’`]/g, "'")
+    .replace(/\s*[([]?\b(feat|ft|featuring)\b\.?.*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .replace(/'/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a normalized string into letter pairs
+ * @param {string} text - Normalized text
+ * @returns {Array} Bigrams, without spaces
+ */
+function getBigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const bigrams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    bigrams.push(compact.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+/**
+ * Measure how alike two names are (Dice coefficient of their letter pairs)
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Similarity from 0 to 1
+ */
+function nameSimilarity(a, b) {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+
+  if (first === second) {
+    return 1;
+  }
+
+  const firstBigrams = getBigrams(first);
+  const secondBigrams = getBigrams(second);
+  if (firstBigrams.length === 0 || secondBigrams.length === 0) {
+    return 0;
+  }
+
+  const remaining = [...secondBigrams];
+  let shared = 0;
+  firstBigrams.forEach(bigram => {
+    const index = remaining.indexOf(bigram);
+    if (index !== -1) {
+      remaining.splice(index, 1);
+      shared++;
+    }
+  });
+
+  return (2 * shared) / (firstBigrams.length + secondBigrams.length);
+}
+
+/**
+ * Score one search hit against the request
+ * @param {Object} song - Genius search hit
+ * @param {Object} request - { artist, title, album }
+ * @returns {Object} { confidence, reasons } where reasons explain any penalties
+ */
+function scoreSearchResult(song, { artist, title, album = '' }) {
+  const hitTitle = song.title || '';
+  const hitArtist = song.primary_artist?.name || song.artist_names || '';
+  const requested = `${title} ${artist}`;
+  const reasons = [];
+
+  let confidence = TITLE_WEIGHT * nameSimilarity(title, hitTitle) +
+    ARTIST_WEIGHT * nameSimilarity(artist, hitArtist);
+
+  VERSION_PENALTIES.forEach(({ reason, pattern, penalty }) => {
+    const isVersion = pattern.test(hitTitle) || pattern.test(hitArtist) || pattern.test(song.full_title || '');
+    if (isVersion && !pattern.test(requested)) {
+      confidence -= penalty;
+      reasons.push(reason);
+    }
+  });
+
+  // song.album is only present on song details, not on search hits
+  if (album && song.album) {
+    if (nameSimilarity(album, song.album.name) >= 0.8) {
+      confidence += ALBUM_MATCH_BONUS;
+      reasons.push('album match');
+    } else {
+      confidence -= ALBUM_MISMATCH_PENALTY;
+      reasons.push('different album');
+    }
+  }
+
+  return {
+    confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100,
+    reasons
+  };
+}
+
+/**
+ * Rank search hits best first, attaching each one's match score
+ * Ties keep Genius's own order.
+ * @param {Array} results - Genius search hits
+ * @param {Object} request - { artist, title, album }
+ * @returns {Array} The hits, each with a `match` of { confidence, reasons }
+ */
+function rankSearchResults(results, request) {
+  return results
+    .map((song, index) => ({ ...song, match: scoreSearchResult(song, request), index }))
+    .sort((a, b) => b.match.confidence - a.match.confidence || a.index - b.index)
+    .map(({ index, ...song }) => song);
+}
+
+/**
+ * Parse a confidence given on the command line
+ * @param {string} value - e.g. "0.8"
+ * @returns {number|null} The confidence, or null unless it is a number from 0 to 1
+ */
+function parseConfidence(value) {
+  const confidence = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  return Number.isFinite(confidence) && confidence >= 0 && confidence <= 1 ? confidence : null;
+}
+
+/**
+ * Format a confidence for display
+ * @param {number} confidence - From 0 to 1
+ * @returns {string} e.g. "92%"
+ */
+function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
+
+export {
+  DEFAULT_MIN_CONFIDENCE,
+  normalizeName,
+  nameSimilarity,
+  scoreSearchResult,
+  rankSearchResults,
+  parseConfidence,
+  formatConfidence
+};
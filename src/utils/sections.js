@@ -0,0 +1,137 @@
+/**
+ * Split lyrics into the sections marked by Genius headers
+ * ([Intro], [Verse 1], [Pre-Chorus], [Chorus: Brendon Urie], ...)
+ */
+
+/**
+ * Check whether a line is a section header
+ * @param {string} line - A line of lyrics
+ * @returns {boolean} True for lines like [Chorus]
+ */
+function isSectionHeader(line) {
+  return /^\[.*\]$/.test(line);
+}
+
+/**
+ * Normalize a section name to its type, dropping numbers and performer credits
+ * ("Verse 2: Brendon Urie" -> "verse", "Pre-Chorus" -> "pre-chorus")
+ * @param {string} name - The section name
+ * @returns {string} The section type
+ */
+function getSectionType(name) {
+  return name
+    .split(':')[0]
+    .toLowerCase()
+    .replace(/\d+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/ /g, '-');
+}
+
+/**
+ * Parse lyrics into named sections
+ *
+ * Line indexes refer to lyrics.split('\n'), so they line up with the
+ * lineIndex of blanks. Lines before the first header form an untitled section.
+ * A section whose lines are identical to an earlier one records it in repeatOf.
+ *
+ * @param {string} lyrics - The lyrics text
+ * @returns {Array} Sections: { id, name, type, startLine, endLine, repeatOf }
+ */
+function parseSections(lyrics) {
+  const lines = lyrics.split('\n');
+  const sections = [];
+  let current = null;
+
+  lines.forEach((line, lineIndex) => {
+    if (isSectionHeader(line)) {
+      const name = line.slice(1, -1).trim();
+      current = {
+        id: sections.length,
+        name,
+        type: getSectionType(name),
+        startLine: lineIndex,
+        endLine: lineIndex
+      };
+      sections.push(current);
+      return;
+    }
+
+    if (!line.trim()) {
+      return;
+    }
+
+    if (!current) {
+      current = {
+        id: sections.length,
+        name: null,
+        type: 'untitled',
+        startLine: lineIndex,
+        endLine: lineIndex
+      };
+      sections.push(current);
+    }
+
+    current.endLine = lineIndex;
+  });
+
+  // Compare section bodies to spot repeated choruses, hooks, etc.
+  const seenBodies = new Map();
+  sections.forEach(section => {
+    const body = lines
+      .slice(section.startLine, section.endLine + 1)
+      .filter(line => line.trim() && !isSectionHeader(line))
+      .map(line => line.trim().toLowerCase())
+      .join('\n');
+
+    if (body && seenBodies.has(body)) {
+      section.repeatOf = seenBodies.get(body);
+    } else {
+      seenBodies.set(body, section.id);
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Find the section containing a line
+ * @param {Array} sections - Sections from parseSections
+ * @param {number} lineIndex - The line index
+ * @returns {Object|undefined} The section, if any
+ */
+function findSection(sections, lineIndex) {
+  return sections.find(section => lineIndex >= section.startLine && lineIndex <= section.endLine);
+}
+
+/**
+ * Work out which lines may be blanked given section options
+ * @param {Array} sections - Sections from parseSections
+ * @param {Object} options - Section options
+ * @param {Array} options.include - Section types to quiz (all when empty)
+ * @param {boolean} options.excludeRepeats - Skip sections that repeat an earlier one
+ * @returns {Set} Line indexes outside the chosen sections
+ */
+function getExcludedLines(sections, { include = [], excludeRepeats = false } = {}) {
+  const excluded = new Set();
+  sections.forEach(section => {
+    const isIncluded = include.length === 0 || include.includes(section.type);
+    const isRepeat = excludeRepeats && section.repeatOf !== undefined;
+
+    if (!isIncluded || isRepeat) {
+      for (let lineIndex = section.startLine; lineIndex <= section.endLine; lineIndex++) {
+        excluded.add(lineIndex);
+      }
+    }
+  });
+
+  return excluded;
+}
+
+export {
+  isSectionHeader,
+  getSectionType,
+  parseSections,
+  findSection,
+  getExcludedLines
+};
@@ -0,0 +1,75 @@
+/**
+ * Timing for sing-along mode, from the per-line timestamps stored in quiz JSON
+ * (timestamps[i] is when line i is sung, in seconds, or null if it isn't timed)
+ */
+
+// How long the last timed line stays open, in seconds
+const LAST_LINE_SECONDS = 8
+
+/**
+ * Check whether a quiz can be played as a sing-along
+ */
+export function hasTimestamps(quiz) {
+  return Array.isArray(quiz.timestamps) && quiz.timestamps.some((time) => time != null)
+}
+
+/**
+ * Work out when each line appears and when it has passed
+ *
+ * Untimed lines (section headers, for example) appear with the next timed
+ * line. A line has passed once the next, later timestamp is reached.
+ *
+ * @returns {Object} { revealAt, passAt, songLength } with times in seconds
+ */
+export function getLineTimes(quiz) {
+  const lineCount = quiz.lyrics.split('\n').length
+  const timestamps = quiz.timestamps || []
+  const revealAt = new Array(lineCount).fill(null)
+
+  let nextTime = null
+  for (let lineIndex = lineCount - 1; lineIndex >= 0; lineIndex--) {
+    if (timestamps[lineIndex] != null) nextTime = timestamps[lineIndex]
+    revealAt[lineIndex] = nextTime
+  }
+
+  // Lines after the last timestamp appear with it
+  let lastTime = 0
+  for (let lineIndex = 0; lineIndex < lineCount; lineIndex++) {
+    if (timestamps[lineIndex] != null) lastTime = timestamps[lineIndex]
+    if (revealAt[lineIndex] === null) revealAt[lineIndex] = lastTime
+  }
+
+  const passAt = revealAt.map((time, lineIndex) => {
+    const later = revealAt.slice(lineIndex + 1).find((other) => other > time)
+    return later !== undefined ? later : time + LAST_LINE_SECONDS
+  })
+
+  return {
+    revealAt,
+    passAt,
+    songLength: Math.max(0, ...passAt)
+  }
+}
+
+/**
+ * Find the last moment a blank can be answered: when the last line where it
+ * has an input passes (copies share one input when repeatMode is 'same')
+ */
+export function getBlankDeadline(quiz, blank, passAt) {
+  const lineIndexes = [blank.lineIndex]
+  if (quiz.repeatMode === 'same') {
+    for (const copy of blank.repeats || []) lineIndexes.push(copy.lineIndex)
+  }
+  return Math.max(...lineIndexes.map((lineIndex) => passAt[lineIndex]))
+}
+
+/**
+ * List the blanks left empty when their time ran out
+ * @returns {Array} Blank ids
+ */
+export function getTimedOutBlanks(quiz, answers, songTime) {
+  const { passAt } = getLineTimes(quiz)
+  return quiz.blanks
+    .filter((blank) => !answers[blank.id]?.trim() && getBlankDeadline(quiz, blank, passAt) <= songTime)
+    .map((blank) => blank.id)
+}
@@ -0,0 +1,33 @@
+/**
+ * File names and ids made from song titles
+ */
+
+import crypto from 'crypto';
+import { foldText } from './textNormalize.js';
+
+/**
+ * Turn a title into a file name and id slug ("Café Song" -> "cafe-song")
+ * Titles without any Latin letters or digits get a short hash of the title
+ * instead, so they still get a stable, non-empty name.
+ * @param {string} text - The title
+ * @returns {string} The slug
+ */
+function slugify(text) {
+  const slug = foldText(text)
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (slug) {
+    return slug;
+  }
+
+  const title = (text || '').trim();
+  if (!title) {
+    throw new Error('Cannot make a file name from an empty title');
+  }
+  return `song-${crypto.createHash('sha256').update(title).digest('hex').slice(0, 8)}`;
+}
+
+export {
+  slugify
+};
@@ -0,0 +1,169 @@
+/**
+ * Search, filters and sort order for the song list, and how they're kept in
+ * the URL (?q=...&difficulty=...) so a reload shows the same list
+ */
+
+import { getBestScore, getLastPlayed } from './scoreStorage'
+import { foldText } from './textNormalize'
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  difficulty: 'all', // 'all', 'easy', 'medium', 'hard'
+  minBlanks: null,
+  maxBlanks: null,
+  progress: 'all', // 'all', 'played', 'unplayed', 'perfect'
+  sort: 'artist' // 'artist', 'releaseDate', 'bestScore', 'lastPlayed'
+}
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard']
+export const PROGRESS_OPTIONS = ['all', 'played', 'unplayed', 'perfect']
+export const SORT_OPTIONS = ['artist', 'releaseDate', 'bestScore', 'lastPlayed']
+
+// URL parameter for each filter
+const PARAMS = {
+  search: 'q',
+  difficulty: 'difficulty',
+  minBlanks: 'min',
+  maxBlanks: 'max',
+  progress: 'progress',
+  sort: 'sort'
+}
+
+/**
+ * Parse a non-negative whole number, or null
+ */
+function parseCount(value) {
+  return /^\d+$/.test(value || '') ? Number(value) : null
+}
+
+/**
+ * Read filters from a query string, ignoring unknown or invalid values
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} Filters, with defaults for anything missing
+ */
+export function readFilters(search) {
+  const params = new URLSearchParams(search)
+  const pick = (key, options) => {
+    const value = params.get(PARAMS[key])
+    return options.includes(value) ? value : DEFAULT_FILTERS[key]
+  }
+
+  return {
+    search: params.get(PARAMS.search) || '',
+    difficulty: pick('difficulty', ['all', ...DIFFICULTIES]),
+    minBlanks: parseCount(params.get(PARAMS.minBlanks)),
+    maxBlanks: parseCount(params.get(PARAMS.maxBlanks)),
+    progress: pick('progress', PROGRESS_OPTIONS),
+    sort: pick('sort', SORT_OPTIONS)
+  }
+}
+
+/**
+ * Write filters into a query string, leaving out defaults and keeping other parameters
+ * @param {string} search - Current query string
+ * @param {Object} filters - Filters to write
+ * @returns {string} New query string, with its leading '?' (or '' if empty)
+ */
+export function writeFilters(search, filters) {
+  const params = new URLSearchParams(search)
+
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    const value = filters[key]
+    if (value === DEFAULT_FILTERS[key] || value === null || value === '') {
+      params.delete(param)
+    } else {
+      params.set(param, value)
+    }
+  })
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+/**
+ * Check whether any filter narrows the list
+ */
+export function hasActiveFilters(filters) {
+  return filters.search.trim() !== '' ||
+    filters.difficulty !== DEFAULT_FILTERS.difficulty ||
+    filters.minBlanks !== null ||
+    filters.maxBlanks !== null ||
+    filters.progress !== DEFAULT_FILTERS.progress
+}
+
+/**
+ * Look up the player's history for each song
+ * @param {Array} songs - Index entries
+ * @returns {Map} quiz id -> { bestScore, lastPlayed } (null when never played)
+ */
+export function getPlayHistory(songs) {
+  return new Map(songs.map((song) => [
+    song.id,
+    { bestScore: getBestScore(song.id), lastPlayed: getLastPlayed(song.id) }
+  ]))
+}
+
+/**
+ * Filter and sort songs
+ * @param {Array} songs - Index entries
+ * @param {Object} filters - Filters from readFilters
+ * @param {Map} history - From getPlayHistory
+ * @returns {Array} Matching songs in the chosen order
+ */
+export function applyFilters(songs, filters, history) {
+  const terms = foldText(filters.search).split(/\s+/).filter(Boolean)
+
+  const matching = songs.filter((song) => {
+    const { bestScore } = history.get(song.id) || {}
+    const text = foldText(`${song.title} ${song.artist}`)
+
+    if (!terms.every((term) => text.includes(term))) return false
+    if (filters.difficulty !== 'all' && song.difficulty !== filters.difficulty) return false
+    if (filters.minBlanks !== null && song.blankCount < filters.minBlanks) return false
+    if (filters.maxBlanks !== null && song.blankCount > filters.maxBlanks) return false
+
+    switch (filters.progress) {
+      case 'played':
+        return Boolean(bestScore)
+      case 'unplayed':
+        return !bestScore
+      case 'perfect':
+        return bestScore?.percentage === 100
+      default:
+        return true
+    }
+  })
+
+  return sortSongs(matching, filters.sort, history)
+}
+
+/**
+ * Sort songs; songs without a value for the chosen order go last, by artist
+ * @returns {Array} A sorted copy
+ */
+export function sortSongs(songs, sort, history) {
+  const byArtist = (a, b) =>
+    a.artist.localeCompare(b.artist) || a.title.localeCompare(b.title)
+
+  // Higher values first
+  const getValue = {
+    releaseDate: (song) => Date.parse(song.releaseDate),
+    bestScore: (song) => history.get(song.id)?.bestScore?.percentage,
+    lastPlayed: (song) => Date.parse(history.get(song.id)?.lastPlayed)
+  }[sort]
+
+  if (!getValue) {
+    return [...songs].sort(byArtist)
+  }
+
+  const hasValue = (value) => typeof value === 'number' && !Number.isNaN(value)
+
+  return [...songs].sort((a, b) => {
+    const valueA = getValue(a)
+    const valueB = getValue(b)
+
+    if (hasValue(valueA) && hasValue(valueB) && valueA !== valueB) return valueB - valueA
+    if (hasValue(valueA) !== hasValue(valueB)) return hasValue(valueA) ? -1 : 1
+    return byArtist(a, b)
+  })
+}
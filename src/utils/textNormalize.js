@@ -1,19 +1,53 @@
 /**
- * Normalize text for comparison by replacing various Unicode variations
- * of apostrophes and dashes with standard versions
+ * Text normalisation and word splitting, shared by the quiz generator
+ * scripts and answer grading so both agree on what a word is
+ *
+ * Folded text compares equal however it was typed or published: compatibility
+ * forms (ligatures, full-width letters) are decomposed (NFKD), accents are
+ * removed, every apostrophe and single-quote variant becomes ' and every
+ * hyphen, dash and minus sign becomes -.
  */
-export function normalizeText(text) {
+
+// ' ‘ ’ ‛ ʼ ʹ ´ ` ′ ＇
+const APOSTROPHES = /['‘’‛ʼʹ´`′＇]/g
+// ‐ ‑ ‒ – — ― − ﹘ ﹣ －
+const DASHES = /[‐-―−﹘﹣－]/g
+
+// Letters NFKD leaves whole
+const LETTER_FOLDS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' }
+
+// A word is letters or digits (with their accents), joined by apostrophes or
+// hyphens: "we'll", "self-control", "café", "naïve"
+const WORD = '[\\p{L}\\p{N}][\\p{L}\\p{N}\\p{M}]*'
+const JOINER = "['‘’‛ʼ‐‑-]+"
+const WORD_PATTERN = new RegExp(`${WORD}(?:${JOINER}${WORD})*`, 'gu')
+
+// Words compared in folded text: hyphens separate them ("self-control" is
+// "self control"), and apostrophes at either end are kept ("'til", "runnin'")
+const FOLDED_WORD_PATTERN = /'?[\p{L}\p{N}&]+(?:'[\p{L}\p{N}]+)*'?/gu
+
+/**
+ * Fold text for comparison: lowercase, no accents, plain apostrophes and hyphens
+ */
+export function foldText(text) {
   if (!text) return ''
 
   return text
-    .trim()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
     .toLowerCase()
-    // Normalize various apostrophes to standard apostrophe
-    // Includes: ' (right single quotation mark), ʼ (modifier letter apostrophe), ´ (acute accent)
-    .replace(/[\u2019\u02BC\u00B4]/g, "'")
-    // Normalize various dashes to standard hyphen
-    // Includes: – (en dash), — (em dash), − (minus sign)
-    .replace(/[\u2013\u2014\u2212]/g, '-')
+    .replace(/[ßæœøłđðþı]/g, (letter) => LETTER_FOLDS[letter])
+    .replace(APOSTROPHES, "'")
+    .replace(DASHES, '-')
+}
+
+/**
+ * Normalize text for comparison by trimming and folding it (see foldText)
+ */
+export function normalizeText(text) {
+  if (!text) return ''
+
+  return foldText(text.trim())
 }
 
 /**
@@ -22,3 +56,24 @@ export function normalizeText(text) {
 export function compareAnswers(userAnswer, correctAnswer) {
   return normalizeText(userAnswer) === normalizeText(correctAnswer)
 }
+
+/**
+ * Find the words in a line of lyrics, as written
+ * @param {string} text - The text
+ * @returns {Array} { word, position } for each word, position being its index in text
+ */
+export function tokenize(text) {
+  return [...(text || '').matchAll(WORD_PATTERN)].map((match) => ({
+    word: match[0],
+    position: match.index
+  }))
+}
+
+/**
+ * Split text into folded words for comparison, ignoring punctuation other than
+ * apostrophes that are part of a word ("'til", "don't", "runnin'", "rock 'n' roll")
+ * @returns {Array} Words
+ */
+export function splitWords(text) {
+  return foldText(text).match(FOLDED_WORD_PATTERN) || []
+}
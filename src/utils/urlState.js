@@ -1,3 +1,5 @@
+import { quizPath } from './router'
+
 /**
  * Encode quiz state to URL-safe string
  */
@@ -34,7 +36,32 @@ export function decodeQuizState(encoded) {
  * Generate shareable URL for a quiz
  */
 export function generateShareUrl(quiz, score) {
-  const baseUrl = window.location.origin + window.location.pathname
   const encoded = encodeQuizState(quiz, score)
-  return `${baseUrl}?quiz=${encoded}`
+  return window.location.origin + quizPath(quiz.id, encoded)
+}
+
+/**
+ * Read the challenge a shared quiz link carries
+ * @returns {Object|null} Decoded state, or null if there is none or it's invalid
+ */
+export function readChallenge(encoded) {
+  if (!encoded) return null
+
+  try {
+    return decodeQuizState(encoded)
+  } catch (error) {
+    console.error('Failed to decode shared quiz:', error)
+    return null
+  }
+}
+
+/**
+ * Find where an old-style share link (/?quiz=<state>) now points
+ * @param {string} search - e.g. window.location.search
+ * @returns {string|null} The quiz path with the same challenge, or null if it isn't one
+ */
+export function getLegacyShareRedirect(search) {
+  const encoded = new URLSearchParams(search).get('quiz')
+  const state = readChallenge(encoded)
+  return state && state.quizId != null ? quizPath(state.quizId, encoded) : null
 }
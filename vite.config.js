@@ -1,6 +1,7 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { dataPlugin } from './scripts/vite-plugin-data.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), dataPlugin()],
 })